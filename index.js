@@ -7,7 +7,25 @@ const RtmpsProcessor = require("./lib/audio-processors/rtmps-processor");
 const RtspProcessor = require("./lib/audio-processors/rtsp-processor");
 const SrtProcessor = require("./lib/audio-processors/srt-processor");
 const StreamInputProcessor = require("./lib/audio-processors/stream-input-processor");
+const FailoverProcessor = require("./lib/audio-processors/failover-processor");
 const VmixProcessor = require("./lib/integrations/vmix-processor");
+const {
+  MaestraError,
+  AuthenticationError,
+  ServerBusyError,
+  ConnectionTimeoutError,
+  ConnectionError,
+  ProtocolError,
+  SourceError,
+  IntegrationError,
+  StateError,
+} = require("./lib/errors");
+const { ConnectionState } = require("./lib/connection-state");
+const Transcript = require("./lib/transcript");
+const { CaptionFormatter, CaptionMode } = require("./lib/caption-formatter");
+const TextProcessor = require("./lib/text-processor");
+const { Redactor, RedactionMode } = require("./lib/redactor");
+const KeywordSpotter = require("./lib/keyword-spotter");
 
 module.exports = {
   MaestraClient,
@@ -19,5 +37,23 @@ module.exports = {
   RtspProcessor,
   SrtProcessor,
   StreamInputProcessor,
+  FailoverProcessor,
   VmixProcessor,
+  MaestraError,
+  AuthenticationError,
+  ServerBusyError,
+  ConnectionTimeoutError,
+  ConnectionError,
+  ProtocolError,
+  SourceError,
+  IntegrationError,
+  StateError,
+  ConnectionState,
+  Transcript,
+  CaptionFormatter,
+  CaptionMode,
+  TextProcessor,
+  Redactor,
+  RedactionMode,
+  KeywordSpotter,
 };
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Fixed-size framing of 16 kHz float32 audio
+ *
+ * Audio sources deliver chunks of arbitrary size, which need not even hold a
+ * whole number of samples. The framer carries partial data over between
+ * chunks and hands out frames of a fixed duration, so the server always
+ * receives well-formed packets of a predictable size.
+ */
+
+const AudioRingBuffer = require('./audio-ring-buffer');
+
+const BYTES_PER_SAMPLE = 4;
+
+/**
+ * Default frame duration in milliseconds
+ * @type {number}
+ */
+const DEFAULT_FRAME_DURATION = 100;
+
+/**
+ * Splits a stream of f32le audio into fixed-duration Float32Array frames
+ */
+class AudioFramer {
+  /**
+   * @param {Object} [options] - Framing options
+   * @param {number} [options.frameDuration=100] - Frame duration in milliseconds, e.g. 20, 100 or 250
+   * @param {function(Float32Array): void} [options.onFrame] - Called with each frame
+   */
+  constructor(options = {}) {
+    const frameDuration = options.frameDuration !== undefined ? options.frameDuration : DEFAULT_FRAME_DURATION;
+    this.frameSamples = Math.max(1, Math.round(frameDuration * AudioRingBuffer.SAMPLE_RATE / 1000));
+    this.frameBytes = this.frameSamples * BYTES_PER_SAMPLE;
+    this.onFrame = options.onFrame || (() => {});
+    this.reset();
+  }
+
+  /**
+   * Number of bytes held back until the next frame is complete
+   * @type {number}
+   */
+  get pendingBytes() {
+    return this.filled;
+  }
+
+  /**
+   * Adds audio and emits every frame it completes
+   * @param {Float32Array|Buffer|ArrayBuffer|Uint8Array} chunk - f32le audio of any length
+   */
+  push(chunk) {
+    const bytes = toBytes(chunk);
+    let offset = 0;
+    while (offset < bytes.length) {
+      const count = Math.min(this.frameBytes - this.filled, bytes.length - offset);
+      this.frame.set(bytes.subarray(offset, offset + count), this.filled);
+      this.filled += count;
+      offset += count;
+      if (this.filled === this.frameBytes) {
+        const frame = new Float32Array(this.frame.buffer);
+        this.frame = new Uint8Array(this.frameBytes);
+        this.filled = 0;
+        this.onFrame(frame);
+      }
+    }
+  }
+
+  /**
+   * Emits the whole samples held back as a final, shorter frame. A trailing
+   * partial sample is discarded.
+   */
+  flush() {
+    const samples = Math.floor(this.filled / BYTES_PER_SAMPLE);
+    const frame = samples > 0 ? new Float32Array(this.frame.buffer.slice(0, samples * BYTES_PER_SAMPLE)) : null;
+    this.reset();
+    if (frame) {
+      this.onFrame(frame);
+    }
+  }
+
+  /**
+   * Discards the audio held back
+   */
+  reset() {
+    this.frame = new Uint8Array(this.frameBytes);
+    this.filled = 0;
+  }
+}
+
+/**
+ * Views a chunk as bytes without copying
+ * @private
+ * @param {Float32Array|Buffer|ArrayBuffer|Uint8Array} chunk - The audio chunk
+ * @returns {Uint8Array}
+ */
+function toBytes(chunk) {
+  if (!chunk) {
+    return new Uint8Array(0);
+  }
+  if (chunk instanceof ArrayBuffer) {
+    return new Uint8Array(chunk);
+  }
+  return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
+AudioFramer.DEFAULT_FRAME_DURATION = DEFAULT_FRAME_DURATION;
+
+module.exports = AudioFramer;
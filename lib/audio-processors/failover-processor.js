@@ -0,0 +1,361 @@
+const EventEmitter = require('events');
+const { MaestraError, SourceError } = require('../errors');
+
+/**
+ * A processor that runs a primary and one or more backup processors side by
+ * side and forwards the audio of the best healthy one. It fails over when the
+ * active source goes silent, stalls, errors or is lost, and returns to a
+ * higher-priority source once it has been healthy for a while. The client's
+ * session is not interrupted by a switch.
+ * @extends EventEmitter
+ */
+class FailoverProcessor extends EventEmitter {
+  /**
+   * @param {Object[]} processors - Two or more processors in priority order, primary first
+   * @param {Object} [options] - Configuration options.
+   * @param {Function} [options.onAudio] - Callback for when audio data is received.
+   * @param {Function} [options.onError] - Callback for when an error occurs, or every source has failed.
+   * @param {Function} [options.onEnd] - Callback for when every source has ended.
+   * @param {number} [options.silenceTimeout=5000] - Fail over when the active source has delivered no audio, or
+   *   only silence when `silenceThreshold` is set, for this many milliseconds
+   * @param {number} [options.silenceThreshold=0] - Peak amplitude (0..1) below which audio counts as silence. The
+   *   default 0 only treats missing audio as a failure, since pauses in speech and quiet programmes are silent too.
+   * @param {number} [options.switchBackDelay=5000] - How long a higher-priority source must be healthy before
+   *   switching back to it, in milliseconds
+   */
+  constructor(processors, options = {}) {
+    super();
+    if (!Array.isArray(processors) || processors.length < 2) {
+      throw new MaestraError('FailoverProcessor needs at least two processors.', { code: 'INVALID_CONFIG' });
+    }
+    this.options = options;
+    this.processors = processors;
+    this.isProcessing = false;
+    this.isPaused = false;
+    this.activeIndex = 0;
+    this.hasFailedOver = false;
+    this.onAudioCallback = options.onAudio || (() => {});
+    this.onErrorCallback = options.onError || (() => {});
+    this.onEndCallback = options.onEnd || (() => {});
+    this.silenceTimeout = options.silenceTimeout !== undefined ? options.silenceTimeout : 5000;
+    this.silenceThreshold = options.silenceThreshold !== undefined ? options.silenceThreshold : 0;
+    this.switchBackDelay = options.switchBackDelay !== undefined ? options.switchBackDelay : 5000;
+    this.healthTimer = null;
+    this.listeners = [];
+    this.sources = processors.map(() => this._createHealth(0));
+
+    processors.forEach((processor, index) => {
+      processor.onAudioCallback = (audioData) => this._handleAudio(index, audioData);
+      processor.onErrorCallback = (error) => this._handleSourceError(index, error);
+      processor.onEndCallback = () => this._handleSourceEnd(index);
+    });
+  }
+
+  /**
+   * The processor whose audio is currently forwarded
+   * @type {Object}
+   */
+  get activeProcessor() {
+    return this.processors[this.activeIndex];
+  }
+
+  /**
+   * The primary's presentation time of the first sample, until the first
+   * failover. Backups run on their own timelines, so it is null afterwards.
+   * @type {number|null}
+   */
+  get startPts() {
+    const primary = this.processors[0];
+    return !this.hasFailedOver && typeof primary.startPts === 'number' ? primary.startPts : null;
+  }
+
+  /**
+   * Starts every processor. Resolves once at least one has started.
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this.isProcessing) {
+      return Promise.resolve();
+    }
+    this.isProcessing = true;
+    this.isPaused = false;
+    this.activeIndex = 0;
+    this.hasFailedOver = false;
+    const now = Date.now();
+    this.sources = this.processors.map(() => this._createHealth(now));
+    this._watchSources();
+
+    return Promise.all(this.processors.map((processor, index) => Promise.resolve()
+      .then(() => processor.start())
+      .then(() => true, (err) => {
+        // FFmpeg-based processors report the failure through onError before rejecting
+        if (this.sources[index].error !== err) {
+          this._handleSourceError(index, err);
+        }
+        return false;
+      })
+    )).then((started) => {
+      if (!started.some(Boolean)) {
+        this.stop();
+        throw new SourceError('None of the failover sources could be started.');
+      }
+      this.healthTimer = setInterval(() => this._checkHealth(), Math.max(50, Math.min(250, this.silenceTimeout / 2)));
+    });
+  }
+
+  /**
+   * Pauses audio delivery on every source. Health checks are suspended meanwhile.
+   */
+  pause() {
+    this.isPaused = true;
+    for (const processor of this.processors) {
+      if (typeof processor.pause === 'function') {
+        processor.pause();
+      }
+    }
+  }
+
+  /**
+   * Resumes audio delivery after pause().
+   */
+  resume() {
+    this.isPaused = false;
+    // Time spent paused is neither silence nor a stall
+    const now = Date.now();
+    for (const health of this.sources) {
+      health.lastAudioAt = now;
+      health.lastSoundAt = now;
+    }
+    for (const processor of this.processors) {
+      if (typeof processor.resume === 'function') {
+        processor.resume();
+      }
+    }
+  }
+
+  /**
+   * Stops every processor.
+   */
+  stop() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    for (const { processor, event, listener } of this.listeners) {
+      processor.removeListener(event, listener);
+    }
+    this.listeners = [];
+    for (const processor of this.processors) {
+      processor.stop();
+    }
+    this.isProcessing = false;
+  }
+
+  /**
+   * Creates the health record of a source
+   * @private
+   * @param {number} now - The current time in milliseconds
+   * @returns {Object}
+   */
+  _createHealth(now) {
+    return { lastAudioAt: now, lastSoundAt: now, healthySince: now, error: null, lost: false, ended: false };
+  }
+
+  /**
+   * Tracks `source-lost` / `source-restored` of processors that supervise their source
+   * @private
+   */
+  _watchSources() {
+    this.processors.forEach((processor, index) => {
+      if (typeof processor.on !== 'function') {
+        return;
+      }
+      const handlers = {
+        'source-lost': () => {
+          this.sources[index].lost = true;
+        },
+        'source-restored': () => {
+          this.sources[index].lost = false;
+        }
+      };
+      for (const [event, listener] of Object.entries(handlers)) {
+        processor.on(event, listener);
+        this.listeners.push({ processor, event, listener });
+      }
+    });
+  }
+
+  /**
+   * Records a source's audio and forwards it if the source is active
+   * @private
+   * @param {number} index - The source
+   * @param {Float32Array|Buffer} audioData - The audio
+   */
+  _handleAudio(index, audioData) {
+    const health = this.sources[index];
+    const now = Date.now();
+    health.lastAudioAt = now;
+    health.error = null;
+    if (this.silenceThreshold <= 0 || peakAmplitude(audioData) >= this.silenceThreshold) {
+      health.lastSoundAt = now;
+    }
+    if (index === this.activeIndex && this.isProcessing) {
+      this.onAudioCallback(audioData);
+    }
+  }
+
+  /**
+   * Marks a source as failed, reports it with `source-error` and fails over at once if it is active
+   * @private
+   * @param {number} index - The source
+   * @param {Error} error - The error
+   */
+  _handleSourceError(index, error) {
+    this.sources[index].error = error;
+    this.emit('source-error', { index, active: index === this.activeIndex, error });
+    this.sources[index].healthySince = null;
+    if (this.isProcessing && index === this.activeIndex) {
+      this._checkHealth();
+    }
+  }
+
+  /**
+   * Marks a source as ended, and ends the stream once every source has
+   * @private
+   * @param {number} index - The source
+   */
+  _handleSourceEnd(index) {
+    this.sources[index].ended = true;
+    this.sources[index].healthySince = null;
+    if (!this.isProcessing) {
+      return;
+    }
+    if (this.sources.every((health) => health.ended)) {
+      this.stop();
+      this.onEndCallback();
+      return;
+    }
+    if (index === this.activeIndex) {
+      this._checkHealth();
+    }
+  }
+
+  /**
+   * Why a source is unhealthy
+   * @private
+   * @param {number} index - The source
+   * @param {number} now - The current time in milliseconds
+   * @returns {string|null} 'ended', 'error', 'source-lost', 'stalled' or 'silence', or null when healthy
+   */
+  _getProblem(index, now) {
+    const health = this.sources[index];
+    if (health.ended) {
+      return 'ended';
+    }
+    if (health.error) {
+      return 'error';
+    }
+    if (health.lost) {
+      return 'source-lost';
+    }
+    if (now - health.lastAudioAt > this.silenceTimeout) {
+      return 'stalled';
+    }
+    if (now - health.lastSoundAt > this.silenceTimeout) {
+      return 'silence';
+    }
+    return null;
+  }
+
+  /**
+   * Fails over from an unhealthy active source, or switches back to a
+   * higher-priority source that has recovered
+   * @private
+   */
+  _checkHealth() {
+    if (!this.isProcessing || this.isPaused) {
+      return;
+    }
+    const now = Date.now();
+    const problems = this.processors.map((processor, index) => this._getProblem(index, now));
+    problems.forEach((problem, index) => {
+      const health = this.sources[index];
+      if (problem) {
+        health.healthySince = null;
+      } else if (health.healthySince === null) {
+        health.healthySince = now;
+      }
+    });
+
+    const activeProblem = problems[this.activeIndex];
+    if (activeProblem) {
+      const next = problems.findIndex((problem) => problem === null);
+      if (next !== -1) {
+        this._switchTo(next, activeProblem);
+      } else if (problems.every((problem) => problem === 'ended' || problem === 'error') &&
+        this.sources.some((health) => health.error)) {
+        const error = new SourceError('Every failover source has failed.', {
+          cause: this.sources.map((health) => health.error).filter(Boolean),
+          retryable: true
+        });
+        // Failed rather than ended, so onEnd is not called
+        this.stop();
+        this.emit('source-failed', { error });
+        this.onErrorCallback(error);
+      }
+      return;
+    }
+
+    for (let index = 0; index < this.activeIndex; index++) {
+      const health = this.sources[index];
+      if (health.healthySince !== null && now - health.healthySince >= this.switchBackDelay) {
+        this._switchTo(index, 'recovered');
+        return;
+      }
+    }
+  }
+
+  /**
+   * Makes another source the active one and emits `failover`
+   * @private
+   * @param {number} index - The new active source
+   * @param {string} reason - Why the switch happened
+   */
+  _switchTo(index, reason) {
+    const from = this.activeIndex;
+    this.activeIndex = index;
+    this.hasFailedOver = true;
+    this.emit('failover', {
+      from,
+      to: index,
+      reason,
+      error: reason === 'error' ? this.sources[from].error : null
+    });
+  }
+}
+
+/**
+ * The largest absolute sample value of a chunk of float32 audio
+ * @private
+ * @param {Float32Array|Buffer|ArrayBuffer} audioData - The audio
+ * @returns {number}
+ */
+function peakAmplitude(audioData) {
+  let samples = audioData;
+  if (!(samples instanceof Float32Array)) {
+    const bytes = samples instanceof ArrayBuffer ? new Uint8Array(samples) : samples;
+    const aligned = new Uint8Array(bytes.byteLength - (bytes.byteLength % 4));
+    aligned.set(bytes.subarray(0, aligned.length));
+    samples = new Float32Array(aligned.buffer);
+  }
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.abs(samples[i]);
+    if (value > peak) {
+      peak = value;
+    }
+  }
+  return peak;
+}
+
+module.exports = FailoverProcessor;
@@ -1,32 +1,92 @@
+const EventEmitter = require('events');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
 const { PassThrough } = require('stream');
+const { MaestraError, SourceError } = require('../errors');
+const AudioFramer = require('../audio-framer');
+const AudioRingBuffer = require('../audio-ring-buffer');
 
 // Set the path to the bundled FFmpeg binary once
 ffmpeg.setFfmpegPath(ffmpegPath);
 
+// Friendly names accepted for the channels of a stereo input
+const CHANNEL_ALIASES = { left: 'FL', right: 'FR', center: 'FC' };
+
 /**
  * Base class for audio processors that use FFmpeg.
  * This class handles the common logic for starting, stopping,
- * and processing audio from an FFmpeg process.
+ * and processing audio from an FFmpeg process. Live sources are supervised:
+ * when FFmpeg exits or stops delivering audio it is restarted with backoff.
+ * @extends EventEmitter
  */
-class FfmpegProcessor {
+class FfmpegProcessor extends EventEmitter {
   /**
    * @param {string} sourceUrl - The input source URL or path for FFmpeg.
    * @param {Object} options - Configuration options.
    * @param {Function} [options.onAudio] - Callback for when audio data is received.
    * @param {Function} [options.onError] - Callback for when an error occurs.
+   * @param {Function} [options.onEnd] - Callback for when the source has ended and all audio has been delivered.
+   * @param {number} [options.frameDuration=100] - Duration of the audio frames passed to onAudio, in milliseconds.
+   * @param {number|string} [options.audioTrack] - The audio track to transcribe: its index among the input's audio
+   *   tracks (0 for the first) or its language tag, e.g. 'spa'. By default FFmpeg picks the input's main track.
+   * @param {number|string} [options.channel] - Transcribe a single channel of the track: its index (0 for the
+   *   first) or FFmpeg name, e.g. 'FL', or 'left', 'right' or 'center'. By default all channels are downmixed.
+   * @param {Array<number|string>|Object<string, number>} [options.channelMap] - Mix only some channels: a list
+   *   of channels mixed at equal level, or an object mapping each channel to its gain, e.g. `{ 0: 1, 1: 0.5 }`
+   * @param {boolean|Object} [options.restart] - Restart FFmpeg when the source is lost. Enabled by default for live
+   *   sources. Pass `true` for the defaults or `{ maxAttempts, initialDelay, maxDelay, factor, jitter,
+   *   stallTimeout, fillSilence }`.
+   * @param {number} [options.restart.maxAttempts=10] - Restarts per outage before giving up (Infinity never gives up)
+   * @param {number} [options.restart.initialDelay=1000] - Delay before the first restart in milliseconds
+   * @param {number} [options.restart.maxDelay=30000] - Upper bound for the backoff delay in milliseconds
+   * @param {number} [options.restart.factor=2] - Multiplier applied to the delay after each restart
+   * @param {number} [options.restart.jitter=0.3] - Random spread applied to each delay (0..1)
+   * @param {number} [options.restart.stallTimeout=10000] - Treat the source as lost when FFmpeg has delivered no
+   *   audio for this many milliseconds
+   * @param {boolean} [options.restart.fillSilence=false] - Send silence while the source is lost, so the
+   *   server's timestamps keep following the wall clock
    */
   constructor(sourceUrl, options = {}) {
+    super();
     if (this.constructor === FfmpegProcessor) {
       throw new Error("FfmpegProcessor is an abstract class and cannot be instantiated directly.");
     }
     this.sourceUrl = sourceUrl;
     this.options = options;
     this.ffmpegProcess = null;
+    this.audioStream = null;
     this.isProcessing = false;
+    this.isPaused = false;
+    // Presentation time (seconds) the first delivered sample would have in the current input, read from
+    // FFmpeg's input report and re-based after a restart
+    this.startPts = null;
+    this.samplesDelivered = 0;
     this.onAudioCallback = options.onAudio || (() => {});
     this.onErrorCallback = options.onError || (() => {});
+    this.onEndCallback = options.onEnd || (() => {});
+    this.frameDuration = options.frameDuration !== undefined ? options.frameDuration : AudioFramer.DEFAULT_FRAME_DURATION;
+    this.framer = new AudioFramer({
+      frameDuration: this.frameDuration,
+      onFrame: (frame) => this._deliver(frame)
+    });
+    this.audioTrack = options.audioTrack !== undefined ? options.audioTrack : null;
+    this.channel = options.channel !== undefined ? options.channel : null;
+    this.channelMap = options.channelMap !== undefined ? options.channelMap : null;
+    // Built up front so an invalid selection fails in the constructor
+    this.selectionOptions = this._getSelectionOptions();
+
+    // Supervision of live sources
+    this.restartOptions = this._normalizeRestartOptions(
+      options.restart !== undefined ? options.restart : this._isLiveSource()
+    );
+    this.lostAt = null;
+    this.restartAttempt = 0;
+    this.restartTimer = null;
+    this.stallTimer = null;
+    this.silenceTimer = null;
+    this.silenceSamples = 0;
+    this.silenceSince = 0;
+    this.lastAudioAt = 0;
   }
 
   /**
@@ -41,67 +101,502 @@ class FfmpegProcessor {
     return [];
   }
 
+  /**
+   * Whether the source is a live stream, whose end means it was lost rather
+   * than finished. Live sources are restarted by default. An input for which
+   * FFmpeg reports a duration (e.g. an HLS VOD playlist) still ends normally.
+   * @returns {boolean}
+   * @protected
+   */
+  _isLiveSource() {
+    return false;
+  }
+
+  /**
+   * Called when FFmpeg has read the whole input. Returning true plays the
+   * input again instead of ending the stream.
+   * @returns {boolean}
+   * @protected
+   */
+  _shouldReplay() {
+    return false;
+  }
+
+  /**
+   * Called before the input is played again, with the stream position the
+   * next play starts at
+   * @param {number} position - Seconds of audio delivered by the previous plays
+   * @protected
+   */
+  _onReplay(position) {
+    // Subclasses that track their plays override this
+  }
+
+  /**
+   * Whether the source is currently lost and being restarted
+   * @type {boolean}
+   */
+  get isSourceLost() {
+    return this.lostAt !== null;
+  }
+
   /**
    * Starts processing the stream.
    * @returns {Promise<void>} A promise that resolves when the FFmpeg process has started.
    */
   start() {
-    return new Promise((resolve, reject) => {
-      if (this.isProcessing) {
-        return resolve();
-      }
-      this.isProcessing = true;
+    if (this.isProcessing) {
+      return Promise.resolve();
+    }
+    this.isProcessing = true;
+    this.isPaused = false;
+    this.startPts = null;
+    this.samplesDelivered = 0;
+    this.lostAt = null;
+    this.restartAttempt = 0;
+    this.framer.reset();
+    return this._spawn();
+  }
 
+  /**
+   * Starts an FFmpeg process and routes its output through the framer
+   * @private
+   * @param {boolean} [replay=false] - Whether the process plays the input again, continuing the current timeline
+   * @returns {Promise<void>} Resolves when the process has started, rejects if it cannot be spawned
+   */
+  _spawn(replay = false) {
+    return new Promise((resolve, reject) => {
+      let started = false;
+      // Whether FFmpeg reported a duration, so the input has a natural end even if it is supervised
+      let hasDuration = false;
+      let inputPts = null;
+      let firstSample = null;
+      // Maps this process's timeline onto the audio delivered so far, once both are known
+      const alignPts = () => {
+        if (!replay && inputPts !== null && firstSample !== null) {
+          this.startPts = inputPts - firstSample / AudioRingBuffer.SAMPLE_RATE;
+        }
+      };
       try {
         const audioStream = new PassThrough();
+        this.audioStream = audioStream;
         const inputOptions = this._getInputOptions();
 
-
-        
-        this.ffmpegProcess = ffmpeg(this.sourceUrl)
+        const command = ffmpeg(this.sourceUrl)
           .inputOptions(inputOptions)
+          .outputOptions(this.selectionOptions)
           .noVideo()
           .audioChannels(1)
           .audioFrequency(16000)
           .format('f32le') // 32-bit float PCM for whisper
           .on('start', (commandLine) => {
-    
+            started = true;
             resolve();
           })
-          .on('error', (err) => {
-            this.isProcessing = false;
-            this.onErrorCallback(err);
-            reject(err);
+          .on('stderr', (line) => {
+            // Live inputs report "Duration: N/A" (or zero for some demuxers)
+            const duration = /^\s*Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(line);
+            if (duration && Number(duration[1]) * 3600 + Number(duration[2]) * 60 + parseFloat(duration[3]) > 0) {
+              hasDuration = true;
+            }
+            // e.g. "  Duration: N/A, start: 12345.678000, bitrate: N/A"
+            const match = inputPts === null && /^\s*Duration: .*, start: (-?\d+(?:\.\d+)?)/.exec(line);
+            if (match) {
+              inputPts = parseFloat(match[1]);
+              alignPts();
+            }
+          })
+          .on('error', (err, stdout, stderr) => {
+            // Killing the process in stop() or on a restart is reported as an error; ignore it
+            if (this.ffmpegProcess !== command) {
+              return;
+            }
+            // A track that does not exist will not appear on a restart either
+            const missingTrack = this.audioTrack !== null && /matches no streams/.test(`${err.message}\n${stderr}`);
+            const error = missingTrack
+              ? new SourceError(`Audio track ${JSON.stringify(this.audioTrack)} was not found in the source.`, {
+                cause: stderr || err,
+                retryable: false
+              })
+              : new SourceError(`Audio source failed: ${err.message}`, { cause: stderr || err });
+            if (started && this.restartOptions && !missingTrack) {
+              this._handleSourceLoss('error', error);
+              return;
+            }
+            if (this.lostAt !== null) {
+              // A restart that cannot run ends the supervision like running out of attempts
+              this._giveUp(error);
+            } else {
+              this._stopSupervision();
+              this.isProcessing = false;
+              this.onErrorCallback(error);
+            }
+            reject(error);
           })
           .on('end', () => {
-            this.isProcessing = false;
+            if (this.ffmpegProcess !== command) {
+              return;
+            }
+            const replay = this._shouldReplay();
+            if (!replay && this.restartOptions && !hasDuration) {
+              this._handleSourceLoss('ended', null);
+              return;
+            }
+            if (!replay) {
+              this.isProcessing = false;
+            }
+            // Continue only once every buffered chunk has been delivered
+            const finish = () => {
+              if (!replay) {
+                this.framer.flush();
+                this.onEndCallback();
+              } else if (this.ffmpegProcess === command) {
+                // The next play continues the current frame, so the audio stays seamless
+                this._onReplay((this.samplesDelivered + this.framer.pendingBytes / 4) / AudioRingBuffer.SAMPLE_RATE);
+                this._spawn(true).catch(() => {});
+              }
+            };
+            if (audioStream.readableEnded) {
+              finish();
+            } else {
+              audioStream.once('end', finish);
+            }
           });
+        this.ffmpegProcess = command;
 
         this.ffmpegProcess.pipe(audioStream, { end: true });
 
+        // Chunks are cut at arbitrary byte offsets; the framer realigns them to whole samples
         audioStream.on('data', (chunk) => {
-          const audioData = new Float32Array(new Uint8Array(chunk).buffer);
-          this.onAudioCallback(audioData);
+          if (this.audioStream !== audioStream) {
+            return;
+          }
+          this.lastAudioAt = Date.now();
+          if (firstSample === null) {
+            // A restarted input has its own timeline
+            firstSample = this.samplesDelivered + this.framer.pendingBytes / 4;
+            alignPts();
+          }
+          if (this.lostAt !== null) {
+            this._handleSourceRestored();
+          }
+          this.framer.push(chunk);
         });
+        if (this.isPaused) {
+          audioStream.pause();
+        }
 
-      } catch (error) {
-        this.isProcessing = false;
-        this.onErrorCallback(error);
+        if (this.restartOptions) {
+          this._watchForStall();
+        }
+      } catch (err) {
+        const error = new SourceError(`Audio source failed: ${err.message}`, { cause: err });
+        if (this.lostAt !== null) {
+          this._giveUp(error);
+        } else {
+          this.isProcessing = false;
+          this.onErrorCallback(error);
+        }
         reject(error);
       }
     });
   }
 
+  /**
+   * Passes a frame to the audio callback
+   * @private
+   * @param {Float32Array} frame - The audio frame
+   */
+  _deliver(frame) {
+    this.samplesDelivered += frame.length;
+    this.onAudioCallback(frame);
+  }
+
+  /**
+   * Pauses audio delivery. FFmpeg's output is held back until resume() is called.
+   */
+  pause() {
+    this.isPaused = true;
+    if (this.audioStream) {
+      this.audioStream.pause();
+    }
+  }
+
+  /**
+   * Resumes audio delivery after pause().
+   */
+  resume() {
+    this.isPaused = false;
+    // Time spent paused is not a stall, and is not owed as silence
+    this.lastAudioAt = Date.now();
+    this.silenceSince = this.lastAudioAt;
+    this.silenceSamples = 0;
+    if (this.audioStream) {
+      this.audioStream.resume();
+    }
+  }
+
   /**
    * Stops the FFmpeg process.
    */
   stop() {
+    this._stopSupervision();
+    this.lostAt = null;
     if (this.ffmpegProcess) {
       this.ffmpegProcess.kill('SIGTERM');
       this.ffmpegProcess = null;
     }
+    this.audioStream = null;
     this.isProcessing = false;
+    this.framer.reset();
+  }
+
+  /**
+   * Builds the FFmpeg output options that select the audio track and channels
+   * @private
+   * @returns {string[]} An array of FFmpeg output option strings.
+   */
+  _getSelectionOptions() {
+    if (this.channel !== null && this.channelMap !== null) {
+      throw new MaestraError('Pass either "channel" or "channelMap", not both.', { code: 'INVALID_CONFIG' });
+    }
+
+    let gains = null;
+    if (this.channel !== null) {
+      gains = [[this.channel, 1]];
+    } else if (Array.isArray(this.channelMap)) {
+      gains = this.channelMap.map((channel) => [channel, 1 / this.channelMap.length]);
+    } else if (this.channelMap !== null) {
+      gains = typeof this.channelMap === 'object' ? Object.entries(this.channelMap) : [];
+    }
+    let filter = null;
+    if (gains) {
+      const terms = gains.map(([channel, gain]) => {
+        if (typeof gain !== 'number' || !Number.isFinite(gain) || gain < 0) {
+          throw new MaestraError(`Invalid gain ${JSON.stringify(gain)} for channel ${channel} in "channelMap".`, {
+            code: 'INVALID_CONFIG'
+          });
+        }
+        return `${gain}*${toPanChannel(channel)}`;
+      });
+      if (terms.length === 0) {
+        throw new MaestraError('"channelMap" must name at least one channel.', { code: 'INVALID_CONFIG' });
+      }
+      filter = `pan=mono|c0=${terms.join('+')}`;
+    }
+
+    if (this.audioTrack === null) {
+      return filter ? ['-af', filter] : [];
+    }
+    let specifier;
+    if (Number.isInteger(this.audioTrack) && this.audioTrack >= 0) {
+      specifier = `0:a:${this.audioTrack}`;
+    } else if (typeof this.audioTrack === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]+)*$/.test(this.audioTrack)) {
+      specifier = `0:a:m:language:${this.audioTrack}`;
+    } else {
+      throw new MaestraError(`Invalid audioTrack ${JSON.stringify(this.audioTrack)}; use a track index or a language tag.`, {
+        code: 'INVALID_CONFIG'
+      });
+    }
+    // A filter graph input takes the first matching track, where -map would take all tracks in that language
+    return ['-filter_complex', `[${specifier}]${filter || 'anull'}[audio]`, '-map', '[audio]'];
+  }
+
+  /**
+   * Normalizes the `restart` constructor option into a policy object
+   * @private
+   * @param {boolean|Object} restart - The raw option value
+   * @returns {Object|null} The restart policy, or null when disabled
+   */
+  _normalizeRestartOptions(restart) {
+    if (!restart) {
+      return null;
+    }
+    const policy = restart === true ? {} : restart;
+    if (policy.enabled === false) {
+      return null;
+    }
+    return {
+      maxAttempts: policy.maxAttempts !== undefined ? policy.maxAttempts : 10,
+      initialDelay: policy.initialDelay !== undefined ? policy.initialDelay : 1000,
+      maxDelay: policy.maxDelay !== undefined ? policy.maxDelay : 30000,
+      factor: policy.factor !== undefined ? policy.factor : 2,
+      jitter: policy.jitter !== undefined ? policy.jitter : 0.3,
+      stallTimeout: policy.stallTimeout !== undefined ? policy.stallTimeout : 10000,
+      fillSilence: policy.fillSilence !== undefined ? policy.fillSilence : false
+    };
+  }
+
+  /**
+   * Computes the backoff delay for the given restart
+   * @private
+   * @param {number} attempt - The attempt number, starting at 1
+   * @returns {number} The delay in milliseconds
+   */
+  _getRestartDelay(attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = this.restartOptions;
+    const base = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+    const spread = base * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + spread));
+  }
+
+  /**
+   * Checks periodically that FFmpeg keeps delivering audio
+   * @private
+   */
+  _watchForStall() {
+    const { stallTimeout } = this.restartOptions;
+    this.lastAudioAt = Date.now();
+    if (this.stallTimer || !(stallTimeout > 0)) {
+      return;
+    }
+    this.stallTimer = setInterval(() => {
+      if (this.ffmpegProcess && !this.isPaused && Date.now() - this.lastAudioAt > stallTimeout) {
+        this._handleSourceLoss('stalled', null);
+      }
+    }, Math.min(1000, stallTimeout));
+  }
+
+  /**
+   * Kills the current process, emits `source-lost` at the start of an outage
+   * and schedules a restart, or gives up once the attempts are used up
+   * @private
+   * @param {string} reason - 'ended', 'error' or 'stalled'
+   * @param {SourceError|null} error - The error that ended the process, if any
+   */
+  _handleSourceLoss(reason, error) {
+    if (!this.isProcessing) {
+      return;
+    }
+    const command = this.ffmpegProcess;
+    this.ffmpegProcess = null;
+    this.audioStream = null;
+    if (command) {
+      command.kill('SIGKILL');
+    }
+    // Deliver the whole samples already received before any silence
+    this.framer.flush();
+
+    if (this.lostAt === null) {
+      this.lostAt = Date.now();
+      this.restartAttempt = 0;
+      this.emit('source-lost', { reason, error });
+      if (this.restartOptions.fillSilence) {
+        this._startSilence();
+      }
+    }
+
+    if (this.restartAttempt >= this.restartOptions.maxAttempts) {
+      this._giveUp(new SourceError(`Audio source lost; gave up after ${this.restartAttempt} restart attempts.`, {
+        cause: error,
+        retryable: true
+      }));
+      return;
+    }
+
+    this.restartAttempt++;
+    const delay = this._getRestartDelay(this.restartAttempt);
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.isProcessing) {
+        this._spawn().catch(() => {});
+      }
+    }, delay);
+  }
+
+  /**
+   * Stops supervising a lost source and reports it as failed. The source
+   * failed rather than ended, so onEnd is not called.
+   * @private
+   * @param {SourceError} error - The error reported with `source-failed`
+   */
+  _giveUp(error) {
+    const attempts = this.restartAttempt;
+    this.stop();
+    this.emit('source-failed', { attempts, error });
+    this.onErrorCallback(error);
+  }
+
+  /**
+   * Ends an outage once the restarted process delivers audio
+   * @private
+   */
+  _handleSourceRestored() {
+    const downtime = Date.now() - this.lostAt;
+    const attempts = this.restartAttempt;
+    this._stopSilence();
+    this.lostAt = null;
+    this.restartAttempt = 0;
+    this.emit('source-restored', { downtime, attempts });
+  }
+
+  /**
+   * Sends silent frames while the source is lost, paced by the wall clock
+   * @private
+   */
+  _startSilence() {
+    const frameSamples = this.framer.frameSamples;
+    this.silenceSamples = 0;
+    this.silenceSince = Date.now();
+    this.silenceTimer = setInterval(() => {
+      if (this.isPaused) {
+        return;
+      }
+      const owed = Math.floor((Date.now() - this.silenceSince) * AudioRingBuffer.SAMPLE_RATE / 1000) - this.silenceSamples;
+      for (let sent = 0; sent + frameSamples <= owed; sent += frameSamples) {
+        this.silenceSamples += frameSamples;
+        this._deliver(new Float32Array(frameSamples));
+      }
+    }, Math.max(10, this.frameDuration));
+  }
+
+  /**
+   * Stops sending silence
+   * @private
+   */
+  _stopSilence() {
+    if (this.silenceTimer) {
+      clearInterval(this.silenceTimer);
+      this.silenceTimer = null;
+    }
+  }
+
+  /**
+   * Cancels the restart, stall and silence timers
+   * @private
+   */
+  _stopSupervision() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.stallTimer) {
+      clearInterval(this.stallTimer);
+      this.stallTimer = null;
+    }
+    this._stopSilence();
+  }
+}
+
+/**
+ * Converts a channel index or name into a channel reference of FFmpeg's pan filter
+ * @private
+ * @param {number|string} channel - The channel index, FFmpeg channel name or alias
+ * @returns {string}
+ */
+function toPanChannel(channel) {
+  const value = typeof channel === 'string' && /^\d+$/.test(channel) ? Number(channel) : channel;
+  if (Number.isInteger(value) && value >= 0) {
+    return `c${value}`;
+  }
+  if (typeof value === 'string') {
+    const name = CHANNEL_ALIASES[value.toLowerCase()] || value;
+    if (/^[A-Z]{1,4}$/.test(name)) {
+      return name;
+    }
   }
+  throw new MaestraError(`Invalid channel ${JSON.stringify(channel)}; use a channel index or name such as 'FL'.`, {
+    code: 'INVALID_CONFIG'
+  });
 }
 
-module.exports = FfmpegProcessor; 
\ No newline at end of file
+module.exports = FfmpegProcessor;
@@ -1,13 +1,80 @@
 const FfmpegProcessor = require('./ffmpeg-processor');
+const { MaestraError } = require('../errors');
+
+// How many play start positions are kept to map segment times of a looped range
+const MAX_REMEMBERED_PLAYS = 100;
 
 class FileProcessor extends FfmpegProcessor {
   /**
    * Creates a file processor
    * @param {string} filePath - The path to the local audio/video file
    * @param {Object} options - Configuration options
+   * @param {boolean} [options.realtime=false] - Read the file at its playback rate, like a live source, instead of
+   *   as fast as it can be decoded
+   * @param {number} [options.speed=1] - Playback rate multiplier when `realtime` is set, e.g. 2 for twice as fast
+   * @param {number} [options.startTime=0] - Start transcribing this many seconds into the file
+   * @param {number} [options.endTime] - Stop transcribing this many seconds into the file
+   * @param {boolean|number} [options.loop=false] - Play the range again when it ends: `true` forever, or the total
+   *   number of plays
+   * @param {boolean} [options.offsetTimestamps=true] - Report segment times on the file's timeline, so a segment
+   *   at the start of the range has `start` equal to `startTime`, on every play of a looped range
    */
   constructor(filePath, options = {}) {
     super(filePath, options);
+    this.realtime = options.realtime !== undefined ? options.realtime : false;
+    this.speed = options.speed !== undefined ? options.speed : 1;
+    this.startTime = options.startTime !== undefined ? options.startTime : 0;
+    this.endTime = options.endTime !== undefined ? options.endTime : null;
+    this.loop = options.loop !== undefined ? options.loop : false;
+    this.offsetTimestamps = options.offsetTimestamps !== undefined ? options.offsetTimestamps : true;
+    this.playsRemaining = 0;
+    // Stream positions (seconds) at which each play of the range started
+    this.playStarts = [0];
+
+    if (!(this.speed > 0)) {
+      throw new MaestraError(`Invalid speed ${this.speed}; it must be greater than 0.`, { code: 'INVALID_CONFIG' });
+    }
+    if (!(this.startTime >= 0)) {
+      throw new MaestraError(`Invalid startTime ${this.startTime}; it must be 0 or more seconds.`, { code: 'INVALID_CONFIG' });
+    }
+    if (this.endTime !== null && !(this.endTime > this.startTime)) {
+      throw new MaestraError(`Invalid endTime ${this.endTime}; it must be after startTime (${this.startTime}).`, {
+        code: 'INVALID_CONFIG'
+      });
+    }
+  }
+
+  /**
+   * The offset MaestraClient adds to a segment's stream-relative times so they
+   * match the file rather than the transcribed range. Each play of a looped
+   * range is mapped back onto the range.
+   * @param {number} time - The segment's start, in seconds since the first audio sample
+   * @returns {number} The offset in seconds
+   */
+  getTimestampOffset(time) {
+    if (!this.offsetTimestamps) {
+      return 0;
+    }
+    let playStart = this.playStarts[0];
+    for (const position of this.playStarts) {
+      if (time < position) {
+        break;
+      }
+      playStart = position;
+    }
+    return this.startTime - playStart;
+  }
+
+  /**
+   * Starts processing the file.
+   * @returns {Promise<void>} A promise that resolves when the FFmpeg process has started.
+   */
+  start() {
+    if (!this.isProcessing) {
+      this.playsRemaining = this.loop === true ? Infinity : Math.max(0, Math.floor(Number(this.loop) || 1) - 1);
+      this.playStarts = [0];
+    }
+    return super.start();
   }
 
   /**
@@ -16,10 +83,44 @@ class FileProcessor extends FfmpegProcessor {
    * @protected
    */
   _getInputOptions() {
-    // No special options needed for local files,
-    // FFmpeg should process as fast as possible.
-    return [];
+    // Without pacing FFmpeg processes the file as fast as possible
+    const inputOptions = [];
+    if (this.realtime) {
+      inputOptions.push(...(this.speed === 1 ? ['-re'] : ['-readrate', String(this.speed)]));
+    }
+    if (this.startTime > 0) {
+      inputOptions.push('-ss', String(this.startTime));
+    }
+    if (this.endTime !== null) {
+      inputOptions.push('-t', String(this.endTime - this.startTime));
+    }
+    return inputOptions;
+  }
+
+  /**
+   * Plays the range again while loops remain.
+   * @returns {boolean}
+   * @protected
+   */
+  _shouldReplay() {
+    if (this.playsRemaining > 0) {
+      this.playsRemaining--;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Records where the next play of the range starts.
+   * @param {number} position - Seconds of audio delivered by the previous plays
+   * @protected
+   */
+  _onReplay(position) {
+    this.playStarts.push(position);
+    if (this.playStarts.length > MAX_REMEMBERED_PLAYS) {
+      this.playStarts.shift();
+    }
   }
 }
 
-module.exports = FileProcessor; 
\ No newline at end of file
+module.exports = FileProcessor;
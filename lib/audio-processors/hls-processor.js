@@ -10,6 +10,16 @@ class HlsProcessor extends FfmpegProcessor {
     super(hlsUrl, options);
   }
 
+  /**
+   * HLS input is usually a live stream, so FFmpeg is restarted when it is
+   * lost. A VOD playlist has a duration and ends normally.
+   * @returns {boolean}
+   * @protected
+   */
+  _isLiveSource() {
+    return true;
+  }
+
   /**
    * Provides optimized FFmpeg input options for HLS streams.
    * Optimized for faster audio processing without video overhead.
@@ -1,11 +1,14 @@
 const mic = require('node-microphone');
 const { Transform } = require('stream');
 const LibSampleRate = require('@alexanderolsen/libsamplerate-js');
+const { SourceError } = require('../errors');
+const AudioFramer = require('../audio-framer');
 
 class MicrophoneProcessor {
   /**
    * Creates a microphone audio processor
    * @param {Object} options - Configuration options
+   * @param {number} [options.frameDuration=100] - Duration of the audio frames passed to onAudio, in milliseconds
    */
   constructor(options = {}) {
     this.options = options;
@@ -20,6 +23,12 @@ class MicrophoneProcessor {
     this.channels = options.channels || 1;
     this.bitDepth = options.bitDepth || 16;
     this.resampler = null;
+    this.framer = new AudioFramer({
+      frameDuration: options.frameDuration,
+      onFrame: (frame) => this.onAudioCallback(frame)
+    });
+    // A chunk may end in the middle of a 16-bit sample; its first byte is kept for the next chunk
+    this.leftover = null;
   }
 
   /**
@@ -36,6 +45,8 @@ class MicrophoneProcessor {
     });
 
     this.isProcessing = true;
+    this.framer.reset();
+    this.leftover = null;
     
     try {
       // Create a new microphone instance, telling SoX to resample for us.
@@ -54,8 +65,12 @@ class MicrophoneProcessor {
         transform: (chunk, encoding, callback) => {
           try {
             // Convert the chunk to a Float32Array for processing
-            const buffer = Buffer.from(chunk);
-            const pcmData = new Float32Array(buffer.length / 2);
+            const buffer = this.leftover ? Buffer.concat([this.leftover, chunk]) : Buffer.from(chunk);
+            this.leftover = buffer.length % 2 === 1 ? buffer.subarray(buffer.length - 1) : null;
+            const pcmData = new Float32Array(Math.floor(buffer.length / 2));
+            if (pcmData.length === 0) {
+              return callback(null);
+            }
             for (let i = 0; i < pcmData.length; i++) {
               const int16 = buffer.readInt16LE(i * 2);
               pcmData[i] = int16 / 32768.0; // Normalize to -1.0 to 1.0
@@ -63,10 +78,11 @@ class MicrophoneProcessor {
 
             // Resample the audio to 16kHz using the high-performance library
             const resampledAudio = this.resampler.simple(pcmData);
-            this.onAudioCallback(resampledAudio);
+            this.framer.push(resampledAudio);
             
             callback(null);
-          } catch (error) {
+          } catch (err) {
+            const error = new SourceError(`Microphone audio processing failed: ${err.message}`, { cause: err });
             this.onErrorCallback(error);
             callback(error);
           }
@@ -76,15 +92,33 @@ class MicrophoneProcessor {
       // Handle errors
       this.micStream.on('error', (err) => {
         this.isProcessing = false;
-        this.onErrorCallback(err);
+        this.onErrorCallback(new SourceError(`Microphone failed: ${err.message}`, { cause: err }));
       });
 
       // Pipe the microphone stream to the processor
       this.micStream.pipe(processorStream);
 
-    } catch (error) {
+    } catch (err) {
       this.isProcessing = false;
-      this.onErrorCallback(error);
+      this.onErrorCallback(new SourceError(`Microphone failed: ${err.message}`, { cause: err }));
+    }
+  }
+
+  /**
+   * Pauses audio delivery. Captured audio is held back until resume() is called.
+   */
+  pause() {
+    if (this.micStream) {
+      this.micStream.pause();
+    }
+  }
+
+  /**
+   * Resumes audio delivery after pause()
+   */
+  resume() {
+    if (this.micStream) {
+      this.micStream.resume();
     }
   }
 
@@ -101,6 +135,8 @@ class MicrophoneProcessor {
       this.resampler.destroy();
       this.resampler = null;
     }
+    this.framer.reset();
+    this.leftover = null;
     this.isProcessing = false;
   }
 }
@@ -10,6 +10,15 @@ class RtmpsProcessor extends FfmpegProcessor {
     super(rtmpsUrl, options);
   }
 
+  /**
+   * RTMPS input is a live stream, so FFmpeg is restarted when it is lost.
+   * @returns {boolean}
+   * @protected
+   */
+  _isLiveSource() {
+    return true;
+  }
+
   /**
    * Provides the specific FFmpeg input options for RTMPS.
    * @returns {string[]} An array of FFmpeg input option strings.
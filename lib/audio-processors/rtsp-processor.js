@@ -10,6 +10,15 @@ class RtspProcessor extends FfmpegProcessor {
     super(rtspUrl, options);
   }
 
+  /**
+   * RTSP input is a live stream, so FFmpeg is restarted when it is lost.
+   * @returns {boolean}
+   * @protected
+   */
+  _isLiveSource() {
+    return true;
+  }
+
   /**
    * Provides the specific FFmpeg input options for RTSP.
    * @returns {string[]} An array of FFmpeg input option strings.
@@ -10,6 +10,15 @@ class SrtProcessor extends FfmpegProcessor {
     super(srtUrl, options);
   }
 
+  /**
+   * SRT input is a live stream, so FFmpeg is restarted when it is lost.
+   * @returns {boolean}
+   * @protected
+   */
+  _isLiveSource() {
+    return true;
+  }
+
   /**
    * Provides the specific FFmpeg input options for SRT.
    * @returns {string[]} An array of FFmpeg input option strings.
@@ -1,4 +1,6 @@
 const { PassThrough } = require('stream');
+const { SourceError } = require('../errors');
+const AudioFramer = require('../audio-framer');
 
 /**
  * A processor that receives audio from an external source,
@@ -9,13 +11,20 @@ class StreamInputProcessor {
    * @param {Object} options - Configuration options.
    * @param {Function} [options.onAudio] - Callback for when audio data is received.
    * @param {Function} [options.onError] - Callback for when an error occurs.
+   * @param {Function} [options.onEnd] - Callback for when end() was called and all pushed audio has been delivered.
+   * @param {number} [options.frameDuration=100] - Duration of the audio frames passed to onAudio, in milliseconds.
    */
   constructor(options = {}) {
     this.options = options;
     this.isProcessing = false;
     this.onAudioCallback = options.onAudio || (() => {});
     this.onErrorCallback = options.onError || (() => {});
+    this.onEndCallback = options.onEnd || (() => {});
     this.audioStream = null;
+    this.framer = new AudioFramer({
+      frameDuration: options.frameDuration,
+      onFrame: (frame) => this.onAudioCallback(frame)
+    });
   }
 
   /**
@@ -28,15 +37,31 @@ class StreamInputProcessor {
         return resolve();
       }
       this.isProcessing = true;
-      this.audioStream = new PassThrough();
+      this.framer.reset();
+      const audioStream = new PassThrough();
+      this.audioStream = audioStream;
 
       this.audioStream.on('data', (chunk) => {
-        // The incoming chunk is a Buffer containing f32le audio
-        this.onAudioCallback(chunk);
+        // Chunks still buffered when stop() was called are dropped
+        if (this.audioStream !== audioStream) {
+          return;
+        }
+        // The incoming chunk is a Buffer containing f32le audio of any length
+        this.framer.push(chunk);
+      });
+      
+      this.audioStream.on('end', () => {
+        // stop() also ends the stream, but that is not an end of the audio
+        if (this.audioStream === audioStream) {
+          this.audioStream = null;
+          this.isProcessing = false;
+          this.framer.flush();
+          this.onEndCallback();
+        }
       });
       
       this.audioStream.on('error', (err) => {
-        this.onErrorCallback(err);
+        this.onErrorCallback(new SourceError(`Input stream failed: ${err.message}`, { cause: err }));
       });
 
       resolve();
@@ -55,14 +80,44 @@ class StreamInputProcessor {
   }
 
   /**
-   * Stops the processor.
+   * Signals that no more audio will be pushed. Audio already pushed is still
+   * delivered, after which the end callback is called.
    */
-  stop() {
+  end() {
     if (this.audioStream) {
       this.audioStream.end();
-      this.audioStream = null;
+    }
+  }
+
+  /**
+   * Pauses audio delivery. Pushed audio is held until resume() is called.
+   */
+  pause() {
+    if (this.audioStream) {
+      this.audioStream.pause();
+    }
+  }
+
+  /**
+   * Resumes audio delivery after pause().
+   */
+  resume() {
+    if (this.audioStream) {
+      this.audioStream.resume();
+    }
+  }
+
+  /**
+   * Stops the processor.
+   */
+  stop() {
+    const audioStream = this.audioStream;
+    this.audioStream = null;
+    if (audioStream) {
+      audioStream.end();
     }
     this.isProcessing = false;
+    this.framer.reset();
   }
 }
 
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Bounded in-memory audio buffer
+ *
+ * Holds 16 kHz float32 audio chunks while the server link is unavailable and
+ * hands them back in order once it is ready again. When the configured
+ * capacity is exceeded the oldest audio is discarded.
+ */
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SAMPLE = 4;
+
+/**
+ * Bounded FIFO of audio chunks measured in seconds of 16 kHz audio
+ */
+class AudioRingBuffer {
+  /**
+   * @param {number} seconds - Maximum amount of audio to hold, in seconds
+   */
+  constructor(seconds) {
+    this.capacity = Math.max(0, Math.floor(seconds * SAMPLE_RATE));
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  /**
+   * Number of seconds of audio currently held
+   * @type {number}
+   */
+  get duration() {
+    return this.length / SAMPLE_RATE;
+  }
+
+  /**
+   * Whether the buffer holds no audio
+   * @type {boolean}
+   */
+  get isEmpty() {
+    return this.chunks.length === 0;
+  }
+
+  /**
+   * Appends a chunk, dropping the oldest audio if the capacity is exceeded.
+   * @param {Float32Array|Buffer} chunk - 32-bit float PCM audio
+   * @returns {number} The number of samples dropped to make room (0 if none)
+   */
+  push(chunk) {
+    const samples = AudioRingBuffer.sampleCount(chunk);
+    if (samples === 0) {
+      return 0;
+    }
+    this.chunks.push(chunk);
+    this.length += samples;
+
+    let dropped = 0;
+    while (this.length > this.capacity && this.chunks.length > 0) {
+      const excess = this.length - this.capacity;
+      const oldest = this.chunks[0];
+      const oldestSamples = AudioRingBuffer.sampleCount(oldest);
+
+      if (oldestSamples <= excess) {
+        this.chunks.shift();
+        this.length -= oldestSamples;
+        dropped += oldestSamples;
+      } else {
+        this.chunks[0] = AudioRingBuffer.skipSamples(oldest, excess);
+        this.length -= excess;
+        dropped += excess;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Removes and returns the oldest chunk
+   * @returns {Float32Array|Buffer|undefined} The chunk, or undefined if empty
+   */
+  shift() {
+    const chunk = this.chunks.shift();
+    if (chunk) {
+      this.length -= AudioRingBuffer.sampleCount(chunk);
+    }
+    return chunk;
+  }
+
+  /**
+   * Discards all buffered audio
+   */
+  clear() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  /**
+   * Counts the float32 samples in a chunk
+   * @param {Float32Array|Buffer|ArrayBuffer} chunk - The audio chunk
+   * @returns {number} The number of samples
+   */
+  static sampleCount(chunk) {
+    if (!chunk) {
+      return 0;
+    }
+    if (chunk instanceof Float32Array) {
+      return chunk.length;
+    }
+    return Math.floor(chunk.byteLength / BYTES_PER_SAMPLE);
+  }
+
+  /**
+   * Returns a view of the chunk without its first `count` samples
+   * @param {Float32Array|Buffer|ArrayBuffer} chunk - The audio chunk
+   * @param {number} count - Number of samples to skip
+   * @returns {Float32Array|Buffer|ArrayBuffer} The remaining audio
+   */
+  static skipSamples(chunk, count) {
+    if (chunk instanceof Float32Array) {
+      return chunk.subarray(count);
+    }
+    if (chunk instanceof ArrayBuffer) {
+      return chunk.slice(count * BYTES_PER_SAMPLE);
+    }
+    return chunk.subarray(count * BYTES_PER_SAMPLE);
+  }
+}
+
+AudioRingBuffer.SAMPLE_RATE = SAMPLE_RATE;
+
+module.exports = AudioRingBuffer;
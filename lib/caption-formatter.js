@@ -0,0 +1,497 @@
+/**
+ * @fileoverview Caption layout engine
+ *
+ * Lays out transcript text as caption lines for live outputs (vMix, overlays)
+ * and for subtitle files. Live captions are produced by a CaptionFormatter,
+ * which turns interim and finalized segments into display frames in
+ * roll-up, pop-up or paint-on style while respecting a reading speed and a
+ * minimum display time. Subtitle cues are produced by layoutCues().
+ */
+
+const EventEmitter = require('events');
+const { MaestraError } = require('./errors');
+
+/**
+ * Caption display styles
+ * @readonly
+ * @enum {string}
+ */
+const CaptionMode = Object.freeze({
+  /** Words are appended to the bottom line and earlier lines scroll up */
+  ROLL_UP: 'roll-up',
+  /** Complete blocks of lines replace each other */
+  POP_UP: 'pop-up',
+  /** Words are painted into a block, which is cleared once full */
+  PAINT_ON: 'paint-on',
+});
+
+/**
+ * Splits text into words
+ * @private
+ * @param {string} text - The text
+ * @returns {string[]}
+ */
+function splitWords(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Wraps words into lines no longer than `maxChars`, breaking a word only when
+ * it is longer than a line by itself. With `breakAfter`, a line also ends
+ * after every word it returns true for.
+ * @private
+ * @param {string[]} words - The words
+ * @param {number} maxChars - Maximum characters per line
+ * @param {Function} [breakAfter] - Called with a word index
+ * @returns {Array<{text: string, firstWord: number, lastWord: number, hardBreak: boolean}>} The lines
+ */
+function wrapWords(words, maxChars, breakAfter = () => false) {
+  const lines = [];
+  let line = null;
+
+  const flush = (hardBreak) => {
+    if (line) {
+      line.hardBreak = hardBreak;
+      lines.push(line);
+      line = null;
+    }
+  };
+
+  words.forEach((word, index) => {
+    let rest = word;
+    while (rest.length > maxChars) {
+      flush(false);
+      lines.push({ text: rest.slice(0, maxChars), firstWord: index, lastWord: index, hardBreak: false });
+      rest = rest.slice(maxChars);
+    }
+    if (rest) {
+      if (line && line.text.length + 1 + rest.length <= maxChars) {
+        line.text += ` ${rest}`;
+        line.lastWord = index;
+      } else {
+        flush(false);
+        line = { text: rest, firstWord: index, lastWord: index, hardBreak: false };
+      }
+    }
+    if (breakAfter(index)) {
+      flush(true);
+    }
+  });
+  flush(false);
+  return lines;
+}
+
+/**
+ * Groups lines into blocks of at most `maxLines` lines. A block also ends
+ * after a line that ends with a hard break.
+ * @private
+ * @param {Object[]} lines - Lines from wrapWords()
+ * @param {number} maxLines - Maximum lines per block
+ * @returns {Object[][]} The blocks
+ */
+function groupBlocks(lines, maxLines) {
+  const blocks = [];
+  let block = [];
+  for (const line of lines) {
+    block.push(line);
+    if (block.length === maxLines || line.hardBreak) {
+      blocks.push(block);
+      block = [];
+    }
+  }
+  if (block.length > 0) {
+    blocks.push(block);
+  }
+  return blocks;
+}
+
+/**
+ * Counts the characters a viewer has to read in a block
+ * @private
+ * @param {Object[]} lines - The lines
+ * @returns {number}
+ */
+function countCharacters(lines) {
+  return lines.reduce((sum, line) => sum + line.text.length, 0);
+}
+
+/**
+ * Whether a segment carries server word timings that line up with its text
+ * @private
+ * @param {Object} segment - The segment
+ * @returns {boolean}
+ */
+function hasWordTimings(segment) {
+  return Array.isArray(segment.words) &&
+    segment.words.length === splitWords(segment.text).length &&
+    segment.words.every((word) => !word.estimated && typeof word.start === 'number' && typeof word.end === 'number');
+}
+
+/**
+ * Wraps text into lines no longer than `maxChars`
+ * @param {string} text - The text to wrap
+ * @param {number} maxChars - Maximum characters per line
+ * @returns {string[]} The lines
+ */
+function wrapText(text, maxChars) {
+  return wrapWords(splitWords(text), maxChars).map((line) => line.text);
+}
+
+/**
+ * Normalizes the layout options shared by the live formatter and layoutCues()
+ * @private
+ * @param {Object} options - The raw options
+ * @returns {{mode: string, maxCharsPerLine: number, maxLines: number, maxCps: number, minDisplayTime: number}}
+ */
+function normalizeLayout(options) {
+  const layout = {
+    mode: options.mode || CaptionMode.ROLL_UP,
+    maxCharsPerLine: options.maxCharsPerLine !== undefined ? options.maxCharsPerLine : 42,
+    maxLines: options.maxLines !== undefined ? options.maxLines : 2,
+    maxCps: options.maxCps !== undefined ? options.maxCps : 0,
+    minDisplayTime: options.minDisplayTime !== undefined ? options.minDisplayTime : 1000
+  };
+  if (!Object.values(CaptionMode).includes(layout.mode)) {
+    throw new MaestraError(`Unknown caption mode "${layout.mode}". Use ${Object.values(CaptionMode).join(', ')}.`, { code: 'INVALID_CONFIG' });
+  }
+  if (!(layout.maxCharsPerLine >= 1) || !(layout.maxLines >= 1)) {
+    throw new MaestraError('maxCharsPerLine and maxLines must be at least 1.', { code: 'INVALID_CONFIG' });
+  }
+  return layout;
+}
+
+/**
+ * Lays out timed segments as pop-up subtitle cues. Each segment is wrapped
+ * and split into cues of at most `maxLines` lines that share its time in
+ * proportion to their length. Cues are then held for the minimum display
+ * time and the time needed to read them at `maxCps`, where the next cue
+ * leaves room. Segments without timing are skipped.
+ * @param {Object[]} segments - Segments with numeric `start` and `end` (seconds) and `text`
+ * @param {Object} [options] - Layout options
+ * @param {number} [options.maxCharsPerLine=42] - Maximum characters per line
+ * @param {number} [options.maxLines=2] - Maximum lines per cue
+ * @param {number} [options.maxCps=0] - Reading speed in characters per second (0 disables)
+ * @param {number} [options.minDisplayTime=1000] - Minimum cue duration in milliseconds
+ * @returns {Array<{start: number, end: number, lines: string[]}>} The cues in time order
+ */
+function layoutCues(segments, options = {}) {
+  const layout = normalizeLayout({ ...options, mode: CaptionMode.POP_UP });
+  const cues = [];
+
+  const timed = segments
+    .filter((segment) => typeof segment.start === 'number' && typeof segment.end === 'number' && segment.text)
+    .sort((a, b) => a.start - b.start);
+
+  for (const segment of timed) {
+    const blocks = groupBlocks(wrapWords(splitWords(segment.text), layout.maxCharsPerLine), layout.maxLines);
+    const total = blocks.reduce((sum, block) => sum + countCharacters(block), 0);
+    if (total === 0) {
+      continue;
+    }
+
+    // Split at word timings when the server supplied them for every word,
+    // otherwise share the segment's time in proportion to the cue lengths
+    const words = hasWordTimings(segment) ? segment.words : null;
+    const duration = Math.max(0, segment.end - segment.start);
+    let start = segment.start;
+    blocks.forEach((block, index) => {
+      const last = index === blocks.length - 1;
+      let end;
+      if (last) {
+        end = segment.end;
+      } else if (words) {
+        end = words[block[block.length - 1].lastWord].end;
+      } else {
+        end = start + duration * (countCharacters(block) / total);
+      }
+      cues.push({ start, end, lines: block.map((line) => line.text) });
+      start = words && !last ? words[blocks[index + 1][0].firstWord].start : end;
+    });
+  }
+
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    const readingTime = layout.maxCps > 0 ? cue.lines.join('').length / layout.maxCps : 0;
+    let end = Math.max(cue.end, cue.start + layout.minDisplayTime / 1000, cue.start + readingTime);
+    if (next && end > next.start) {
+      end = Math.max(cue.start, Math.min(end, next.start));
+    }
+    cue.end = end;
+  });
+  return cues;
+}
+
+/**
+ * Turns interim and finalized segments into live caption frames. Call
+ * tick() regularly (for example every 100 ms); it reveals text at the
+ * configured pace and emits `frame` whenever the displayed text changes.
+ * @extends EventEmitter
+ */
+class CaptionFormatter extends EventEmitter {
+  /**
+   * @param {Object} [options] - Layout options
+   * @param {string} [options.mode='roll-up'] - 'roll-up', 'pop-up' or 'paint-on'. Pop-up shows finalized
+   *   text only.
+   * @param {number} [options.maxCharsPerLine=42] - Maximum characters per line
+   * @param {number} [options.maxLines=2] - Number of lines on screen
+   * @param {number} [options.maxCps=0] - Reading speed limit in characters per second. Roll-up and paint-on
+   *   reveal words no faster than this; pop-up holds each block long enough to read it. 0 disables the limit.
+   * @param {number} [options.minDisplayTime=1000] - Minimum time in milliseconds text stays on screen before
+   *   it scrolls off or is replaced
+   */
+  constructor(options = {}) {
+    super();
+    this.layout = normalizeLayout(options);
+    this.frame = { lines: [], text: '', mode: this.layout.mode };
+    this.clear();
+  }
+
+  /**
+   * Replaces the interim text with the latest interim segments. Segments
+   * starting before the end of the last finalized segment are ignored.
+   * @param {Object|Object[]} segments - Interim segments
+   */
+  updateInterim(segments) {
+    const list = Array.isArray(segments) ? segments : [segments];
+    this.interimWords = list
+      .filter((segment) => segment && segment.text && !this._isFinalized(segment))
+      .reduce((words, segment) => words.concat(splitWords(segment.text)), []);
+  }
+
+  /**
+   * Appends a finalized segment, replacing the interim text it finalizes
+   * @param {Object} segment - The finalized segment
+   */
+  addFinal(segment) {
+    if (!segment || !segment.text) {
+      return;
+    }
+    const words = splitWords(segment.text);
+    if (words.length === 0) {
+      return;
+    }
+    this.finalWords.push(...words);
+    this.segmentEnds.add(this.dropped + this.finalWords.length - 1);
+
+    const end = parseFloat(segment.end);
+    if (Number.isFinite(end)) {
+      this.lastFinalEnd = Math.max(this.lastFinalEnd, end);
+    }
+    this.interimWords = [];
+  }
+
+  /**
+   * Advances the display and returns the current frame
+   * @param {number} [now=Date.now()] - The current time in milliseconds
+   * @returns {{lines: string[], text: string, mode: string}} The frame
+   */
+  tick(now = Date.now()) {
+    const elapsed = this.lastTickAt === null ? 0 : Math.max(0, now - this.lastTickAt);
+    this.lastTickAt = now;
+
+    const words = this._sourceWords();
+    this.revealed = Math.min(this.revealed, words.length);
+
+    if (this.layout.mode === CaptionMode.POP_UP) {
+      this._advancePopUp(words, now);
+    } else {
+      this._advanceProgressive(words, now, elapsed);
+    }
+
+    const { lines, top } = this._layoutFrame(words, this.revealed);
+    this._trim(top);
+
+    const text = lines.join('\n');
+    if (text !== this.frame.text) {
+      this.frame = { lines, text, mode: this.layout.mode };
+      this.emit('frame', this.frame);
+    }
+    return this.frame;
+  }
+
+  /**
+   * Returns the frame produced by the last tick()
+   * @returns {{lines: string[], text: string, mode: string}}
+   */
+  getFrame() {
+    return this.frame;
+  }
+
+  /**
+   * Discards all text. The next tick() shows an empty frame.
+   */
+  clear() {
+    this.finalWords = [];
+    this.interimWords = [];
+    this.segmentEnds = new Set();
+    this.dropped = 0;
+    this.lastFinalEnd = -Infinity;
+    this.revealed = 0;
+    // Start with a full reading budget so the first words appear at once
+    this.budget = Infinity;
+    this.lastTickAt = null;
+    this.top = 0;
+    this.topSince = 0;
+  }
+
+  /**
+   * Whether an interim segment is already covered by finalized text
+   * @private
+   * @param {Object} segment - The interim segment
+   * @returns {boolean}
+   */
+  _isFinalized(segment) {
+    const start = parseFloat(segment.start);
+    return Number.isFinite(start) && start < this.lastFinalEnd;
+  }
+
+  /**
+   * The words that may be displayed: finalized words followed by interim
+   * words, or finalized words only in pop-up mode
+   * @private
+   * @returns {string[]}
+   */
+  _sourceWords() {
+    return this.layout.mode === CaptionMode.POP_UP
+      ? this.finalWords
+      : this.finalWords.concat(this.interimWords);
+  }
+
+  /**
+   * Wraps the words, ending lines at segment ends in pop-up mode so each
+   * block holds text from one segment
+   * @private
+   * @param {string[]} words - The words to wrap
+   * @returns {Object[]} The lines
+   */
+  _wrap(words) {
+    const breakAfter = this.layout.mode === CaptionMode.POP_UP
+      ? (index) => this.segmentEnds.has(this.dropped + index)
+      : undefined;
+    return wrapWords(words, this.layout.maxCharsPerLine, breakAfter);
+  }
+
+  /**
+   * Computes the lines shown when the first `count` words are revealed
+   * @private
+   * @param {string[]} words - The source words
+   * @param {number} count - The number of revealed words
+   * @returns {{lines: string[], top: number}} The lines and the index of the first word on screen
+   */
+  _layoutFrame(words, count) {
+    const lines = this._wrap(words.slice(0, count));
+    if (lines.length === 0) {
+      return { lines: [], top: count };
+    }
+
+    let shown;
+    if (this.layout.mode === CaptionMode.ROLL_UP) {
+      shown = lines.slice(-this.layout.maxLines);
+    } else {
+      const blocks = groupBlocks(lines, this.layout.maxLines);
+      shown = blocks[blocks.length - 1];
+    }
+    return { lines: shown.map((line) => line.text), top: shown[0].firstWord };
+  }
+
+  /**
+   * Reveals words one at a time for roll-up and paint-on, limited by the
+   * reading speed and by the minimum time text stays on screen
+   * @private
+   * @param {string[]} words - The source words
+   * @param {number} now - The current time in milliseconds
+   * @param {number} elapsed - Milliseconds since the previous tick
+   */
+  _advanceProgressive(words, now, elapsed) {
+    const { maxCps, maxCharsPerLine, minDisplayTime } = this.layout;
+    // Allow at most about a second of reading (or one line) to be saved up while idle
+    const maxBudget = Math.max(maxCps, maxCharsPerLine);
+    if (maxCps > 0) {
+      this.budget = Math.min(this.budget + (elapsed * maxCps) / 1000, maxBudget);
+    }
+
+    while (this.revealed < words.length) {
+      const cost = words[this.revealed].length + 1;
+      if (maxCps > 0 && this.budget < Math.min(cost, maxBudget)) {
+        break;
+      }
+      const { top } = this._layoutFrame(words, this.revealed + 1);
+      if (top > this.top && now - this.topSince < minDisplayTime) {
+        break;
+      }
+      this.revealed++;
+      if (maxCps > 0) {
+        this.budget = Math.max(0, this.budget - cost);
+      }
+      if (top !== this.top) {
+        this.top = top;
+        this.topSince = now;
+      }
+    }
+  }
+
+  /**
+   * Shows the next complete block for pop-up once the current one has been
+   * on screen for the minimum display time and long enough to be read
+   * @private
+   * @param {string[]} words - The finalized words
+   * @param {number} now - The current time in milliseconds
+   */
+  _advancePopUp(words, now) {
+    const { maxCps, maxLines, minDisplayTime } = this.layout;
+    const blocks = groupBlocks(this._wrap(words), maxLines);
+
+    for (;;) {
+      const nextIndex = blocks.findIndex((block) => block[0].firstWord >= this.revealed);
+      if (nextIndex === -1) {
+        return;
+      }
+      const next = blocks[nextIndex];
+      const last = next[next.length - 1];
+      // A block is complete once it is full or ends a segment
+      const complete = next.length === maxLines || last.hardBreak || nextIndex < blocks.length - 1;
+      if (!complete) {
+        return;
+      }
+
+      if (this.revealed > 0) {
+        const current = blocks[nextIndex - 1] || [];
+        const readingTime = maxCps > 0 ? (countCharacters(current) / maxCps) * 1000 : 0;
+        if (now - this.topSince < Math.max(minDisplayTime, readingTime)) {
+          return;
+        }
+      }
+      this.revealed = last.lastWord + 1;
+      this.top = next[0].firstWord;
+      this.topSince = now;
+    }
+  }
+
+  /**
+   * Forgets finalized words that have left the screen
+   * @private
+   * @param {number} top - Index of the first word on screen
+   */
+  _trim(top) {
+    const count = Math.min(top, this.finalWords.length);
+    if (count <= 0) {
+      return;
+    }
+    this.finalWords.splice(0, count);
+    this.segmentEnds.forEach((index) => {
+      if (index < this.dropped + count) {
+        this.segmentEnds.delete(index);
+      }
+    });
+    this.dropped += count;
+    this.revealed -= count;
+    this.top -= count;
+  }
+}
+
+module.exports = {
+  CaptionFormatter,
+  CaptionMode,
+  layoutCues,
+  wrapText,
+};
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Connection states of a MaestraClient session
+ *
+ * A session moves idle → connecting → ready → streaming → stopping → closed.
+ * A dropped connection passes through reconnecting, and a session that
+ * cannot be established or resumed ends in failed. Both closed and failed
+ * sessions may connect again.
+ */
+
+/**
+ * The states a MaestraClient can be in
+ * @readonly
+ * @enum {string}
+ */
+const ConnectionState = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  READY: 'ready',
+  STREAMING: 'streaming',
+  RECONNECTING: 'reconnecting',
+  STOPPING: 'stopping',
+  CLOSED: 'closed',
+  FAILED: 'failed',
+});
+
+const {
+  IDLE,
+  CONNECTING,
+  READY,
+  STREAMING,
+  RECONNECTING,
+  STOPPING,
+  CLOSED,
+  FAILED,
+} = ConnectionState;
+
+/**
+ * Legal transitions, keyed by the current state
+ * @private
+ */
+const TRANSITIONS = {
+  [IDLE]: [CONNECTING, STOPPING],
+  [CONNECTING]: [READY, FAILED, STOPPING],
+  [READY]: [STREAMING, RECONNECTING, STOPPING, CLOSED, FAILED],
+  [STREAMING]: [READY, RECONNECTING, STOPPING, CLOSED, FAILED],
+  [RECONNECTING]: [READY, STREAMING, STOPPING, FAILED],
+  [STOPPING]: [CLOSED],
+  [CLOSED]: [CONNECTING, STOPPING],
+  [FAILED]: [CONNECTING, STOPPING],
+};
+
+/**
+ * Checks whether a session may move from one state to another
+ * @param {string} from - The current state
+ * @param {string} to - The requested state
+ * @returns {boolean} True if the transition is legal
+ */
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]) && TRANSITIONS[from].includes(to);
+}
+
+module.exports = {
+  ConnectionState,
+  canTransition,
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Error classes raised by the Maestra Live SDK
+ *
+ * Every error carries a stable machine-readable `code` and a `retryable`
+ * flag so supervisors can decide whether to retry or escalate without
+ * matching on messages. The original server payload, ffmpeg stderr or
+ * underlying error is attached as `cause` when available.
+ */
+
+/**
+ * Base class for all SDK errors
+ * @extends Error
+ */
+class MaestraError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} [options] - Error details
+   * @param {string} [options.code] - Machine-readable error code
+   * @param {boolean} [options.retryable] - Whether retrying the operation may succeed
+   * @param {*} [options.cause] - The underlying error, server payload or process output
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || this.constructor.code;
+    this.retryable = options.retryable !== undefined ? options.retryable : this.constructor.retryable;
+    if (options.cause !== undefined) {
+      this.cause = options.cause;
+    }
+  }
+}
+MaestraError.code = 'MAESTRA_ERROR';
+MaestraError.retryable = false;
+
+/**
+ * The API key is missing or was rejected by the server
+ * @extends MaestraError
+ */
+class AuthenticationError extends MaestraError {}
+AuthenticationError.code = 'AUTHENTICATION_FAILED';
+AuthenticationError.retryable = false;
+
+/**
+ * The server asked the client to wait because it has no free capacity
+ * @extends MaestraError
+ */
+class ServerBusyError extends MaestraError {}
+ServerBusyError.code = 'SERVER_BUSY';
+ServerBusyError.retryable = true;
+
+/**
+ * The server did not report SERVER_READY within the connection timeout
+ * @extends MaestraError
+ */
+class ConnectionTimeoutError extends MaestraError {}
+ConnectionTimeoutError.code = 'CONNECTION_TIMEOUT';
+ConnectionTimeoutError.retryable = true;
+
+/**
+ * The socket could not be opened or was lost
+ * @extends MaestraError
+ */
+class ConnectionError extends MaestraError {}
+ConnectionError.code = 'CONNECTION_FAILED';
+ConnectionError.retryable = true;
+
+/**
+ * The server sent an error status or a message the client could not understand
+ * @extends MaestraError
+ */
+class ProtocolError extends MaestraError {}
+ProtocolError.code = 'PROTOCOL_ERROR';
+ProtocolError.retryable = false;
+
+/**
+ * An audio source (FFmpeg, microphone or input stream) failed
+ * @extends MaestraError
+ */
+class SourceError extends MaestraError {}
+SourceError.code = 'SOURCE_ERROR';
+SourceError.retryable = false;
+
+/**
+ * An output integration such as vMix failed
+ * @extends MaestraError
+ */
+class IntegrationError extends MaestraError {}
+IntegrationError.code = 'INTEGRATION_ERROR';
+IntegrationError.retryable = false;
+
+/**
+ * A method was called in a state that does not allow it, such as
+ * transcribe() before the server is ready
+ * @extends MaestraError
+ */
+class StateError extends MaestraError {}
+StateError.code = 'INVALID_STATE';
+StateError.retryable = false;
+
+module.exports = {
+  MaestraError,
+  AuthenticationError,
+  ServerBusyError,
+  ConnectionTimeoutError,
+  ConnectionError,
+  ProtocolError,
+  SourceError,
+  IntegrationError,
+  StateError,
+};
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Timed subtitle cues shared by the exporters
+ *
+ * Maps the exporter options onto the caption layout engine and formats cue
+ * times.
+ */
+
+const { layoutCues } = require('../caption-formatter');
+
+/**
+ * Default layout settings shared by the timed exporters
+ * @type {{maxCharsPerLine: number, maxLinesPerCue: number, minCueDuration: number}}
+ */
+const DEFAULT_LAYOUT = Object.freeze({
+  maxCharsPerLine: 42,
+  maxLinesPerCue: 2,
+  minCueDuration: 1,
+});
+
+/**
+ * Builds pop-up subtitle cues from timed segments with the shared caption
+ * layout engine. Segments without timing are skipped.
+ * @param {Object[]} segments - Segments with numeric `start`, `end` and `text`
+ * @param {Object} [options] - Layout options
+ * @param {number} [options.maxCharsPerLine=42] - Maximum characters per line
+ * @param {number} [options.maxLinesPerCue=2] - Maximum lines per cue
+ * @param {number} [options.minCueDuration=1] - Minimum cue duration in seconds, applied where the next cue allows
+ * @param {number} [options.maxCps=0] - Reading speed in characters per second; cues are held long enough to be
+ *   read where the next cue allows (0 disables)
+ * @returns {Array<{start: number, end: number, lines: string[]}>} The cues in time order
+ */
+function buildCues(segments, options = {}) {
+  const minCueDuration = options.minCueDuration !== undefined ? options.minCueDuration : DEFAULT_LAYOUT.minCueDuration;
+  return layoutCues(segments, {
+    maxCharsPerLine: options.maxCharsPerLine !== undefined ? options.maxCharsPerLine : DEFAULT_LAYOUT.maxCharsPerLine,
+    maxLines: options.maxLinesPerCue !== undefined ? options.maxLinesPerCue : DEFAULT_LAYOUT.maxLinesPerCue,
+    maxCps: options.maxCps,
+    minDisplayTime: minCueDuration * 1000
+  });
+}
+
+/**
+ * Formats seconds as a clock time such as `01:02:03.456`
+ * @param {number} seconds - The time in seconds
+ * @param {string} [separator='.'] - The separator before the milliseconds
+ * @returns {string}
+ */
+function formatClockTime(seconds, separator = '.') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${separator}${pad(ms, 3)}`;
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  buildCues,
+  formatClockTime,
+};
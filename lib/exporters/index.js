@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Subtitle and transcript exporters
+ *
+ * Each exporter turns finalized transcript segments (numeric `start`/`end`
+ * in seconds and `text`) into a document in one format.
+ */
+
+const { MaestraError } = require('../errors');
+
+/**
+ * Exporters by format name
+ * @private
+ */
+const EXPORTERS = {
+  srt: require('./srt'),
+  vtt: require('./vtt'),
+  ttml: require('./ttml'),
+  scc: require('./scc'),
+  json: require('./json'),
+  txt: require('./txt'),
+};
+
+/**
+ * Supported export formats
+ * @type {string[]}
+ */
+const FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * Exports segments in the given format
+ * @param {string} format - One of {@link FORMATS}
+ * @param {Object[]} segments - Finalized segments
+ * @param {Object} [options] - Layout and format options
+ * @returns {string} The exported document
+ */
+function exportSegments(format, segments, options = {}) {
+  const exporter = EXPORTERS[String(format).toLowerCase()];
+  if (!exporter) {
+    throw new MaestraError(`Unsupported export format "${format}". Supported formats: ${FORMATS.join(', ')}.`, { code: 'INVALID_CONFIG' });
+  }
+  return exporter(segments, options);
+}
+
+module.exports = {
+  FORMATS,
+  exportSegments,
+};
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview JSON exporter
+ */
+
+/**
+ * Formats segments as a JSON document. Segments keep their original text,
+ * timing, confidence and word timings; no line layout is applied.
+ * @param {Object[]} segments - Segments
+ * @param {Object} [options] - Export options
+ * @param {string} [options.language] - The language of the segments
+ * @param {number} [options.indent=2] - Indentation passed to JSON.stringify
+ * @returns {string} The JSON document
+ */
+function toJson(segments, options = {}) {
+  const indent = options.indent !== undefined ? options.indent : 2;
+  return JSON.stringify({
+    language: options.language || null,
+    segments: segments.map((segment) => ({
+      id: segment.id !== undefined ? segment.id : null,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim(),
+      confidence: segment.confidence !== undefined ? segment.confidence : null,
+      words: segment.words || []
+    }))
+  }, null, indent);
+}
+
+module.exports = toJson;
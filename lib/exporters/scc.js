@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Scenarist (.scc) exporter
+ *
+ * Writes CEA-608 pop-on captions on channel 1 with 29.97 fps timecode. Each
+ * cue is loaded into non-displayed memory and flipped on screen at its start
+ * time, then erased at its end time.
+ */
+
+const { buildCues } = require('./cues');
+const { formatTimecode } = require('../timecode');
+
+const FRAME_RATE = 29.97;
+
+/**
+ * CEA-608 caption rows are at most 32 characters wide and 4 rows of pop-on
+ * text are the practical limit
+ * @private
+ */
+const MAX_CHARS_PER_LINE = 32;
+const MAX_LINES_PER_CUE = 4;
+
+// Control codes, channel 1, before parity
+const RESUME_CAPTION_LOADING = [0x14, 0x20];
+const ERASE_NON_DISPLAYED_MEMORY = [0x14, 0x2e];
+const END_OF_CAPTION = [0x14, 0x2f];
+const ERASE_DISPLAYED_MEMORY = [0x14, 0x2c];
+
+/**
+ * Preamble address codes placing the cursor at column 0 of each row (1-15)
+ * @private
+ */
+const ROW_PREAMBLES = {
+  1: [0x11, 0x40], 2: [0x11, 0x60], 3: [0x12, 0x40], 4: [0x12, 0x60],
+  5: [0x15, 0x40], 6: [0x15, 0x60], 7: [0x16, 0x40], 8: [0x16, 0x60],
+  9: [0x17, 0x40], 10: [0x17, 0x60], 11: [0x10, 0x40], 12: [0x13, 0x40],
+  13: [0x13, 0x60], 14: [0x14, 0x40], 15: [0x14, 0x60],
+};
+
+/**
+ * Characters whose CEA-608 code differs from ASCII
+ * @private
+ */
+const SPECIAL_CHARACTERS = {
+  'á': 0x2a, 'é': 0x5c, 'í': 0x5e, 'ó': 0x5f, 'ú': 0x60,
+  'ç': 0x7b, '÷': 0x7c, 'Ñ': 0x7d, 'ñ': 0x7e,
+};
+
+/**
+ * ASCII characters that CEA-608 replaces with other glyphs, and what to write instead
+ * @private
+ */
+const ASCII_SUBSTITUTES = {
+  '*': '#', '\\': '/', '^': ' ', '_': '-', '`': "'", '{': '(', '|': '/', '}': ')', '~': '-',
+};
+
+/**
+ * Sets the odd-parity bit of a 7-bit byte
+ * @private
+ * @param {number} byte - The byte
+ * @returns {number}
+ */
+function withParity(byte) {
+  let bits = 0;
+  for (let value = byte & 0x7f; value; value >>= 1) {
+    bits += value & 1;
+  }
+  return bits % 2 === 0 ? byte | 0x80 : byte & 0x7f;
+}
+
+/**
+ * Formats a byte pair as an SCC hex word
+ * @private
+ * @param {number[]} pair - Two 7-bit bytes
+ * @returns {string}
+ */
+function word(pair) {
+  return pair.map((byte) => withParity(byte).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Formats a control code; control codes are sent twice for robustness
+ * @private
+ * @param {number[]} code - The control code bytes
+ * @returns {string[]}
+ */
+function control(code) {
+  return [word(code), word(code)];
+}
+
+/**
+ * Encodes a line of text as CEA-608 basic characters
+ * @private
+ * @param {string} text - The text
+ * @returns {string[]} Hex words
+ */
+function encodeText(text) {
+  const bytes = [];
+  for (const char of text) {
+    if (SPECIAL_CHARACTERS[char] !== undefined) {
+      bytes.push(SPECIAL_CHARACTERS[char]);
+      continue;
+    }
+    // Fall back to the unaccented letter for characters outside the basic set
+    const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    for (const c of plain) {
+      const code = (ASCII_SUBSTITUTES[c] || c).charCodeAt(0);
+      if (code >= 0x20 && code < 0x7f) {
+        bytes.push(code);
+      }
+    }
+  }
+  if (bytes.length % 2 === 1) {
+    bytes.push(0x00);
+  }
+  const words = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    words.push(word([bytes[i], bytes[i + 1]]));
+  }
+  return words;
+}
+
+/**
+ * Formats segments as Scenarist SCC captions
+ * @param {Object[]} segments - Timed segments
+ * @param {Object} [options] - Layout options, see {@link buildCues}. Lines are capped at 32 characters and
+ *   cues at 4 lines.
+ * @param {boolean} [options.dropFrame=true] - Use drop-frame timecode
+ * @returns {string} The SCC document
+ */
+function toScc(segments, options = {}) {
+  const dropFrame = options.dropFrame !== undefined ? options.dropFrame : true;
+  const toTimecode = (seconds) => formatTimecode(seconds, { frameRate: FRAME_RATE, dropFrame });
+  const cues = buildCues(segments, {
+    ...options,
+    maxCharsPerLine: Math.min(options.maxCharsPerLine || MAX_CHARS_PER_LINE, MAX_CHARS_PER_LINE),
+    maxLinesPerCue: Math.min(options.maxLinesPerCue || 2, MAX_LINES_PER_CUE)
+  });
+
+  const blocks = [];
+  cues.forEach((cue, index) => {
+    const firstRow = 16 - cue.lines.length;
+    const words = [
+      ...control(ERASE_NON_DISPLAYED_MEMORY),
+      ...control(RESUME_CAPTION_LOADING)
+    ];
+    cue.lines.forEach((line, row) => {
+      words.push(...control(ROW_PREAMBLES[firstRow + row]), ...encodeText(line));
+    });
+    words.push(...control(END_OF_CAPTION));
+    blocks.push(`${toTimecode(cue.start)}\t${words.join(' ')}`);
+
+    // Clear the screen unless the next cue replaces the caption at once
+    const next = cues[index + 1];
+    if (!next || next.start > cue.end) {
+      blocks.push(`${toTimecode(cue.end)}\t${control(ERASE_DISPLAYED_MEMORY).join(' ')}`);
+    }
+  });
+
+  return ['Scenarist_SCC V1.0', ...blocks].map((block) => `${block}\n`).join('\n');
+}
+
+module.exports = toScc;
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview SubRip (.srt) exporter
+ */
+
+const { buildCues, formatClockTime } = require('./cues');
+
+/**
+ * Formats segments as SubRip subtitles
+ * @param {Object[]} segments - Timed segments
+ * @param {Object} [options] - Layout options, see {@link buildCues}
+ * @returns {string} The SRT document
+ */
+function toSrt(segments, options = {}) {
+  return buildCues(segments, options)
+    .map((cue, index) => [
+      String(index + 1),
+      `${formatClockTime(cue.start, ',')} --> ${formatClockTime(cue.end, ',')}`,
+      ...cue.lines
+    ].join('\n'))
+    .map((block) => `${block}\n`)
+    .join('\n');
+}
+
+module.exports = toSrt;
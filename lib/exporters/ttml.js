@@ -0,0 +1,65 @@
+/**
+ * @fileoverview TTML exporter following the EBU-TT-D profile
+ */
+
+const { buildCues, formatClockTime } = require('./cues');
+
+/**
+ * Escapes text for use in XML content and attributes
+ * @private
+ * @param {string} text - The text to escape
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats segments as an EBU-TT-D TTML document
+ * @param {Object[]} segments - Timed segments
+ * @param {Object} [options] - Layout options, see {@link buildCues}
+ * @param {string} [options.language] - The `xml:lang` of the document
+ * @returns {string} The TTML document
+ */
+function toTtml(segments, options = {}) {
+  const language = options.language || '';
+  const paragraphs = buildCues(segments, options).map((cue, index) => {
+    const lines = cue.lines.map((line) => `<span style="s0">${escapeXml(line)}</span>`).join('<br/>');
+    return `      <p xml:id="sub${index + 1}" begin="${formatClockTime(cue.start)}" end="${formatClockTime(cue.end)}" region="bottom">${lines}</p>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter"' +
+      ' xmlns:tts="http://www.w3.org/ns/ttml#styling"' +
+      ' xmlns:ebuttm="urn:ebu:tt:metadata" xmlns:ebutts="urn:ebu:tt:style"' +
+      ` ttp:timeBase="media" ttp:cellResolution="50 30" xml:lang="${escapeXml(language)}">`,
+    '  <head>',
+    '    <metadata>',
+    '      <ebuttm:documentMetadata>',
+    '        <ebuttm:conformsToStandard>urn:ebu:tt:distribution:2018-04</ebuttm:conformsToStandard>',
+    '      </ebuttm:documentMetadata>',
+    '    </metadata>',
+    '    <styling>',
+    '      <style xml:id="s0" tts:fontFamily="proportionalSansSerif" tts:fontSize="100%" tts:lineHeight="normal"' +
+      ' tts:textAlign="center" tts:color="#FFFFFF" tts:backgroundColor="#000000C2" ebutts:linePadding="0.5c"/>',
+    '    </styling>',
+    '    <layout>',
+    '      <region xml:id="bottom" tts:origin="10% 10%" tts:extent="80% 80%" tts:displayAlign="after"/>',
+    '    </layout>',
+    '  </head>',
+    '  <body>',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+
+module.exports = toTtml;
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Plain text exporter
+ */
+
+/**
+ * Formats segments as plain text, one segment per line
+ * @param {Object[]} segments - Segments
+ * @returns {string} The text
+ */
+function toTxt(segments) {
+  const lines = segments
+    .map((segment) => segment.text.trim())
+    .filter(Boolean);
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+module.exports = toTxt;
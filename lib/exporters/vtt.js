@@ -0,0 +1,33 @@
+/**
+ * @fileoverview WebVTT (.vtt) exporter
+ */
+
+const { buildCues, formatClockTime } = require('./cues');
+
+/**
+ * Escapes the characters WebVTT treats as markup
+ * @private
+ * @param {string} text - Cue text
+ * @returns {string}
+ */
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Formats segments as WebVTT subtitles
+ * @param {Object[]} segments - Timed segments
+ * @param {Object} [options] - Layout options, see {@link buildCues}
+ * @returns {string} The WebVTT document
+ */
+function toVtt(segments, options = {}) {
+  const blocks = buildCues(segments, options).map((cue, index) => [
+    String(index + 1),
+    `${formatClockTime(cue.start)} --> ${formatClockTime(cue.end)}`,
+    ...cue.lines.map(escapeCueText)
+  ].join('\n'));
+
+  return ['WEBVTT', ...blocks].map((block) => `${block}\n`).join('\n');
+}
+
+module.exports = toVtt;
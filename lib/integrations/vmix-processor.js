@@ -1,6 +1,8 @@
 const EventEmitter = require("events");
 const fetch = require("node-fetch");
 const { parseStringPromise } = require("xml2js");
+const { IntegrationError } = require("../errors");
+const { CaptionFormatter } = require("../caption-formatter");
 
 const MAX_ERRORS_IN_PERIOD = 10;
 const ERROR_PERIOD_SECONDS = 30;
@@ -15,34 +17,49 @@ class VmixProcessor extends EventEmitter {
    * @param {boolean} [options.useTranslation=false] - If true, the processor will listen for translation events instead of transcription events.
    * @param {boolean} [options.useInterim=false] - Whether to use interim or finalized transcripts.
    * @param {number} [options.maxLineLength=40] - Maximum characters per line for captions.
+   * @param {number} [options.maxLines=2] - Number of caption lines shown at once.
+   * @param {string} [options.captionMode='roll-up'] - Caption style: 'roll-up', 'pop-up' or 'paint-on'.
+   * @param {number} [options.maxCps=0] - Maximum reading speed in characters per second (0 disables the limit).
+   * @param {number} [options.minDisplayTime=1000] - Minimum time in ms text stays on screen before it is replaced.
    * @param {number} [options.updateInterval=100] - Interval in ms to send updates to vMix.
    */
   constructor(options = {}) {
     super();
 
     if (!options.vmixAddress) {
-      throw new Error("vmixAddress is a required option.");
+      throw new IntegrationError("vmixAddress is a required option.");
     }
 
     try {
       new URL(options.vmixAddress);
     } catch (e) {
-      throw new Error("The vmixAddress is not a valid URL.");
+      throw new IntegrationError("The vmixAddress is not a valid URL.", {
+        cause: e,
+      });
     }
 
     this.options = {
       elementName: "WebCaptionerCaptions",
       useInterim: false,
       maxLineLength: 40,
+      maxLines: 2,
+      captionMode: "roll-up",
+      maxCps: 0,
+      minDisplayTime: 1000,
       updateInterval: 100,
       ...options,
     };
 
     this.inputGuid = options.input || null;
     this.maestraClient = null;
-    this.transcriptBuffer = [];
-    this.currentTranscriptTimestamp = 0;
-    this.transcriptCurrentlyDisplayed = [];
+    this.formatter = new CaptionFormatter({
+      mode: this.options.captionMode,
+      maxCharsPerLine: this.options.maxLineLength,
+      maxLines: this.options.maxLines,
+      maxCps: this.options.maxCps,
+      minDisplayTime: this.options.minDisplayTime,
+    });
+    this.lastSentText = null;
     this.intervalId = null;
     this.errorTimestamps = [];
     this.isInitialized = false;
@@ -90,7 +107,10 @@ class VmixProcessor extends EventEmitter {
         !parsedXml.vmix.inputs ||
         !parsedXml.vmix.inputs[0].input
       ) {
-        throw new Error("Invalid XML structure in vMix API response.");
+        throw new IntegrationError(
+          "Invalid XML structure in vMix API response.",
+          { cause: xmlData }
+        );
       }
 
       const inputs = parsedXml.vmix.inputs[0].input;
@@ -107,7 +127,7 @@ class VmixProcessor extends EventEmitter {
       }
 
       if (!this.inputGuid) {
-        throw new Error(
+        throw new IntegrationError(
           `Could not auto-discover the vMix input. Please ensure you have added the 'vmix_caption_template.xaml' title to vMix and that it is active.`
         );
       }
@@ -117,7 +137,10 @@ class VmixProcessor extends EventEmitter {
       );
       this.isInitialized = true;
     } catch (error) {
-      throw new Error(`vMix initialization failed: ${error.message}`);
+      throw new IntegrationError(
+        `vMix initialization failed: ${error.message}`,
+        { cause: error, retryable: !(error instanceof IntegrationError) }
+      );
     }
   }
 
@@ -127,7 +150,7 @@ class VmixProcessor extends EventEmitter {
    */
   attach(maestraClient) {
     if (!this.isInitialized) {
-      throw new Error(
+      throw new IntegrationError(
         "VmixProcessor has not been initialized. Please call initialize() first."
       );
     }
@@ -140,14 +163,12 @@ class VmixProcessor extends EventEmitter {
     const eventType = this.options.useTranslation
       ? "translation"
       : "transcription";
-    const mainEventName = `${
-      this.options.useInterim ? "interim" : "finalized"
-    }-${eventType}`;
-    this.maestraClient.on(mainEventName, this._handleTranscription);
+    const [mainEventName, mainHandler] = this._getMainListener();
+    this.maestraClient.on(mainEventName, mainHandler);
 
     if (this.options.useInterim) {
       const finalizedEventName = `finalized-${eventType}`;
-      this.maestraClient.on(finalizedEventName, this._handleFinalizedTimestamp);
+      this.maestraClient.on(finalizedEventName, this._handleFinalized);
     }
 
     this.intervalId = setInterval(
@@ -169,96 +190,67 @@ class VmixProcessor extends EventEmitter {
       const eventType = this.options.useTranslation
         ? "translation"
         : "transcription";
-      const mainEventName = `${
-        this.options.useInterim ? "interim" : "finalized"
-      }-${eventType}`;
-      this.maestraClient.removeListener(
-        mainEventName,
-        this._handleTranscription
-      );
+      const [mainEventName, mainHandler] = this._getMainListener();
+      this.maestraClient.removeListener(mainEventName, mainHandler);
 
       if (this.options.useInterim) {
         const finalizedEventName = `finalized-${eventType}`;
         this.maestraClient.removeListener(
           finalizedEventName,
-          this._handleFinalizedTimestamp
+          this._handleFinalized
         );
       }
       this.maestraClient = null;
     }
 
-    this.transcriptBuffer = [];
-    this.transcriptCurrentlyDisplayed = [];
+    this.formatter.clear();
+    this.lastSentText = null;
     this.errorTimestamps = [];
   }
 
-  _handleFinalizedTimestamp = (segment) => {
-    if (Number(segment.end) > this.currentTranscriptTimestamp) {
-      this.currentTranscriptTimestamp = Number(segment.end);
+  /**
+   * Picks the client event that drives the captions. Interim transcription
+   * is taken from `stable-text`, so only words the server has settled on are
+   * shown and captions do not flicker.
+   * @private
+   * @returns {Array} The event name and its handler
+   */
+  _getMainListener() {
+    if (this.options.useInterim && !this.options.useTranslation) {
+      return ["stable-text", this._handleStableText];
     }
-  };
+    const eventType = this.options.useTranslation
+      ? "translation"
+      : "transcription";
+    const mainEventName = `${
+      this.options.useInterim ? "interim" : "finalized"
+    }-${eventType}`;
+    return [mainEventName, this._handleTranscription];
+  }
 
-  _handleTranscription = (segment) => {
-    if (segment && segment.text) {
-      if (Number(segment.end) > this.currentTranscriptTimestamp) {
-        this.currentTranscriptTimestamp = Number(segment.end);
-        this.transcriptBuffer.push(...segment.text.split(" "));
-      }
-    } else if (segment && segment.length) {
-      segment.forEach((s) => {
-        if (Number(s.start) > this.currentTranscriptTimestamp) {
-          s.text.split(" ").forEach((word) => {
-            this.transcriptBuffer.push(word);
-          });
-        }
-      });
+  _handleStableText = (info) => {
+    // The finalized segment itself arrives through finalized-transcription
+    if (!info.final) {
+      this.formatter.updateInterim([{ text: info.text }]);
     }
   };
 
-  async _sendAndFormatCaptions() {
-    if (this.transcriptBuffer.length > 0) {
-      this.transcriptCurrentlyDisplayed.push(...this.transcriptBuffer);
-      this.transcriptBuffer = [];
-    }
-
-    // Line wrapping logic
-    const lastLineBreakIndex =
-      this.transcriptCurrentlyDisplayed.lastIndexOf("\n");
-    const firstWordAfterLastLineBreakIndex = lastLineBreakIndex + 1;
-
-    for (
-      let i = firstWordAfterLastLineBreakIndex;
-      i < this.transcriptCurrentlyDisplayed.length;
-      i++
-    ) {
-      const line = this.transcriptCurrentlyDisplayed
-        .slice(firstWordAfterLastLineBreakIndex, i + 1)
-        .join(" ");
-      if (line.length > this.options.maxLineLength) {
-        this.transcriptCurrentlyDisplayed.splice(i, 0, "\n");
-        break;
-      }
-    }
+  _handleFinalized = (segment) => {
+    this.formatter.addFinal(segment);
+  };
 
-    // Enforce two-line limit
-    const lineBreakCount = this.transcriptCurrentlyDisplayed.filter(
-      (word) => word === "\n"
-    ).length;
-    if (lineBreakCount >= 2) {
-      const firstLineBreakIndex =
-        this.transcriptCurrentlyDisplayed.indexOf("\n");
-      this.transcriptCurrentlyDisplayed.splice(0, firstLineBreakIndex + 1);
+  _handleTranscription = (segment) => {
+    if (Array.isArray(segment)) {
+      this.formatter.updateInterim(segment);
+    } else {
+      this.formatter.addFinal(segment);
     }
+  };
 
-    const transcript = this.transcriptCurrentlyDisplayed
-      .join(" ")
-      .replace(/ \n /g, "\n")
-      .trim();
-
-    if (
-      transcript.length === 0 &&
-      this.transcriptCurrentlyDisplayed.length > 0
-    ) {
+  async _sendAndFormatCaptions() {
+    // Only send when the caption changed, retrying until vMix has accepted it
+    const transcript = this.formatter.tick().text;
+    if (transcript === this.lastSentText) {
       return;
     }
 
@@ -271,6 +263,7 @@ class VmixProcessor extends EventEmitter {
 
     try {
       await this._sendToVmix(url);
+      this.lastSentText = transcript;
     } catch (e) {
       console.error("vMix Error:", e.message);
       this.errorTimestamps.push(new Date());
@@ -285,8 +278,9 @@ class VmixProcessor extends EventEmitter {
       if (recentErrors.length > MAX_ERRORS_IN_PERIOD) {
         this.emit(
           "error",
-          new Error(
-            `Connection to vMix lost. Disabling integration after ${MAX_ERRORS_IN_PERIOD} errors in ${ERROR_PERIOD_SECONDS} seconds.`
+          new IntegrationError(
+            `Connection to vMix lost. Disabling integration after ${MAX_ERRORS_IN_PERIOD} errors in ${ERROR_PERIOD_SECONDS} seconds.`,
+            { cause: e, retryable: true }
           )
         );
         this.detach();
@@ -314,15 +308,19 @@ class VmixProcessor extends EventEmitter {
     return this._fetchWithTimeout(url.toString())
       .then((res) => {
         if (!res.ok) {
-          throw new Error(
-            `vMix API returned an error: ${res.status} ${res.statusText}`
+          throw new IntegrationError(
+            `vMix API returned an error: ${res.status} ${res.statusText}`,
+            { retryable: res.status >= 500 }
           );
         }
         return res;
       })
       .catch((err) => {
         if (err.name === "AbortError") {
-          throw new Error("Request to vMix timed out after 5 seconds.");
+          throw new IntegrationError(
+            "Request to vMix timed out after 5 seconds.",
+            { cause: err, retryable: true }
+          );
         }
         throw err;
       });
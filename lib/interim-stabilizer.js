@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Stability tracking for interim transcription
+ *
+ * Interim hypotheses keep rewriting their last few words. The stabilizer
+ * compares successive hypotheses of the current utterance and commits the
+ * leading words they agree on, so displays can show a stable prefix that
+ * never changes and an unstable tail that still may.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Splits text into words
+ * @private
+ * @param {string} text - The text
+ * @returns {string[]}
+ */
+function splitWords(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Normalizes a word for comparison, so case and trailing punctuation
+ * changes do not count as disagreement
+ * @private
+ * @param {string} word - The word
+ * @returns {string}
+ */
+function comparable(word) {
+  return word.toLowerCase().replace(/[.,!?;:…"')\]]+$/u, '');
+}
+
+/**
+ * Length of the common leading words of several word lists
+ * @private
+ * @param {string[][]} lists - The word lists
+ * @returns {number}
+ */
+function commonPrefixLength(lists) {
+  const shortest = Math.min(...lists.map((list) => list.length));
+  let length = 0;
+  while (length < shortest && lists.every((list) => comparable(list[length]) === comparable(lists[0][length]))) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Splits interim hypotheses into a stable prefix and an unstable tail and
+ * emits `stable-text` when the stable prefix grows
+ * @extends EventEmitter
+ */
+class InterimStabilizer extends EventEmitter {
+  /**
+   * @param {Object} [options] - Stability settings
+   * @param {number} [options.minAgreement=2] - Number of successive hypotheses that must agree on a word
+   *   before it is committed
+   * @param {number} [options.throttle=0] - Emit `stable-text` at most once per this many milliseconds
+   * @param {number} [options.debounce=0] - Emit `stable-text` only after the stable text has not grown for this
+   *   many milliseconds
+   */
+  constructor(options = {}) {
+    super();
+    this.minAgreement = Math.max(1, options.minAgreement !== undefined ? options.minAgreement : 2);
+    this.throttle = options.throttle !== undefined ? options.throttle : 0;
+    this.debounce = options.debounce !== undefined ? options.debounce : 0;
+    this.timer = null;
+    this.lastEmitAt = 0;
+    this.reset();
+  }
+
+  /**
+   * Adds the latest interim hypothesis of the current utterance
+   * @param {Object[]|string} segments - Interim segments, or their text
+   * @returns {{stable: string, unstable: string}} The split of this hypothesis
+   */
+  update(segments) {
+    const text = Array.isArray(segments)
+      ? segments.map((segment) => (segment && segment.text) || '').join(' ')
+      : segments;
+    const words = splitWords(text);
+
+    this.history.push(words);
+    if (this.history.length > this.minAgreement) {
+      this.history.shift();
+    }
+
+    if (this.history.length === this.minAgreement) {
+      const agreed = commonPrefixLength(this.history);
+      // Committed words are never taken back, even if a later hypothesis revises them
+      if (agreed > this.committed.length && commonPrefixLength([this.committed, words]) === this.committed.length) {
+        this.committed = this.committed.concat(words.slice(this.committed.length, agreed));
+      }
+    }
+
+    this.unstable = commonPrefixLength([this.committed, words]) === this.committed.length
+      ? words.slice(this.committed.length)
+      : [];
+    if (this.committed.length > this.emitted.length) {
+      this._schedule();
+    }
+    return { stable: this.committed.join(' '), unstable: this.unstable.join(' ') };
+  }
+
+  /**
+   * Ends the current utterance with its finalized text. Emits `stable-text`
+   * with `final: true` for the words not yet emitted, or with `revised: true`
+   * when the final text contradicts words already emitted.
+   * @param {Object|string} segment - The finalized segment, or its text
+   */
+  finalize(segment) {
+    this._cancelTimer();
+    const words = splitWords(segment && typeof segment === 'object' ? segment.text : segment);
+    const kept = commonPrefixLength([this.emitted, words]);
+    const revised = kept < this.emitted.length;
+    const added = words.slice(kept);
+
+    if (added.length > 0 || revised) {
+      this.lastEmitAt = Date.now();
+      this.emit('stable-text', {
+        text: words.join(' '),
+        added: added.join(' '),
+        unstable: '',
+        final: true,
+        revised
+      });
+    }
+    this.reset();
+  }
+
+  /**
+   * Forgets the current utterance and cancels any pending emission
+   */
+  reset() {
+    this._cancelTimer();
+    this.history = [];
+    this.committed = [];
+    this.emitted = [];
+    this.unstable = [];
+  }
+
+  /**
+   * Emits the committed words now or after the throttle or debounce delay
+   * @private
+   */
+  _schedule() {
+    if (this.debounce > 0) {
+      this._cancelTimer();
+      this.timer = setTimeout(() => this._flush(), this.debounce);
+      return;
+    }
+    const wait = this.throttle > 0 ? this.lastEmitAt + this.throttle - Date.now() : 0;
+    if (wait <= 0) {
+      this._flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this._flush(), wait);
+    }
+  }
+
+  /**
+   * Emits `stable-text` for the words committed since the last emission
+   * @private
+   */
+  _flush() {
+    this.timer = null;
+    const added = this.committed.slice(this.emitted.length);
+    if (added.length === 0) {
+      return;
+    }
+    this.emitted = this.committed.slice();
+    this.lastEmitAt = Date.now();
+    this.emit('stable-text', {
+      text: this.committed.join(' '),
+      added: added.join(' '),
+      unstable: this.unstable.join(' '),
+      final: false,
+      revised: false
+    });
+  }
+
+  /**
+   * Cancels a pending throttled or debounced emission
+   * @private
+   */
+  _cancelTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = InterimStabilizer;
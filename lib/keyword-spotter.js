@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Keyword spotting on transcription segments
+ *
+ * Watches segments for names and topics. Words are compared after removing
+ * case, accents and punctuation, light suffix stripping lets "protest" match
+ * "protests" or "protested", and a small edit distance absorbs misspellings
+ * by the recognizer. Matches can also be posted to a webhook.
+ */
+
+const EventEmitter = require('events');
+const fetch = require('node-fetch');
+const { MaestraError, IntegrationError } = require('./errors');
+
+/**
+ * How many segment ids are remembered to report each keyword once per segment
+ * @private
+ */
+const MAX_REMEMBERED_SEGMENTS = 1000;
+
+/**
+ * Lower-cases a word and strips accents and punctuation
+ * @private
+ * @param {string} word - The word
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return String(word).normalize('NFD').replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+}
+
+/**
+ * Strips common inflectional suffixes (plural, possessive, -ing, -ed, -ly)
+ * @private
+ * @param {string} word - A normalized word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 3) {
+    return word;
+  }
+  let result = word;
+  if (/ies$/.test(result) && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (/(ss|x|z|ch|sh)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (/[^su]s$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  const inflected = /^(.{3,}?)(ing|ed|ly)$/.exec(result);
+  if (inflected) {
+    result = inflected[1];
+    // running -> run, stopped -> stop
+    if (/([^aeiouls])\1$/.test(result)) {
+      result = result.slice(0, -1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and adjacent
+ * transpositions, giving up once it exceeds `max`
+ * @private
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} The distance, or `max + 1` if it is larger than `max`
+ */
+function editDistance(a, b, max) {
+  if (a === b) {
+    return 0;
+  }
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The number of edits tolerated for a word
+ * @private
+ * @param {boolean|number} fuzzy - `true` to scale with word length, a number of edits, or false
+ * @param {string} word - The keyword's word
+ * @returns {number}
+ */
+function allowedEdits(fuzzy, word) {
+  if (typeof fuzzy === 'number') {
+    return Math.max(0, fuzzy);
+  }
+  if (!fuzzy || word.length <= 4) {
+    return 0;
+  }
+  return word.length <= 8 ? 1 : 2;
+}
+
+/**
+ * Watches segments for keywords and emits `match` for each mention
+ * @extends EventEmitter
+ */
+class KeywordSpotter extends EventEmitter {
+  /**
+   * @param {Array<string|Object>} keywords - Words or phrases to watch for, or
+   *   `{ keyword, id, fuzzy, stemming, cooldown }` to override the settings for one keyword
+   * @param {Object} [options] - Matching settings
+   * @param {boolean|number} [options.fuzzy=true] - Tolerate misspellings: `true` allows one edit per word of 5 to 8
+   *   letters and two for longer words, a number sets the edits per word, `false` requires exact words
+   * @param {boolean} [options.stemming=true] - Ignore plural, possessive, -ing, -ed and -ly endings
+   * @param {boolean} [options.interim=false] - Also match interim segments. Each keyword is reported once per
+   *   segment, so a match in an interim segment is not reported again when the segment is finalized.
+   * @param {number} [options.cooldown=0] - Milliseconds after a match during which the same keyword is not reported
+   * @param {number} [options.contextWords=8] - Words of context reported on each side of a match
+   * @param {string|Object} [options.webhook] - URL to POST each match to as JSON, or `{ url, headers, timeout }`
+   */
+  constructor(keywords, options = {}) {
+    super();
+    if (!Array.isArray(keywords) || keywords.length === 0) {
+      throw new MaestraError('watchKeywords() needs a non-empty array of keywords.', { code: 'INVALID_CONFIG' });
+    }
+    this.interim = options.interim !== undefined ? options.interim : false;
+    this.contextWords = options.contextWords !== undefined ? options.contextWords : 8;
+    this.webhook = typeof options.webhook === 'string' ? { url: options.webhook } : options.webhook || null;
+    if (this.webhook && !this.webhook.url) {
+      throw new MaestraError('The keyword webhook needs a "url".', { code: 'INVALID_CONFIG' });
+    }
+
+    const defaults = {
+      fuzzy: options.fuzzy !== undefined ? options.fuzzy : true,
+      stemming: options.stemming !== undefined ? options.stemming : true,
+      cooldown: options.cooldown !== undefined ? options.cooldown : 0
+    };
+    this.keywords = keywords.map((entry) => {
+      const config = typeof entry === 'string' ? { keyword: entry } : { ...entry };
+      const settings = { ...defaults, ...config };
+      const words = String(config.keyword || '').split(/\s+/).map(normalizeWord).filter(Boolean);
+      if (words.length === 0) {
+        throw new MaestraError(`Invalid keyword ${JSON.stringify(entry)}.`, { code: 'INVALID_CONFIG' });
+      }
+      return {
+        keyword: config.keyword,
+        id: config.id !== undefined ? config.id : config.keyword,
+        stemming: settings.stemming,
+        cooldown: settings.cooldown,
+        words: words.map((word) => {
+          const form = settings.stemming ? stem(word) : word;
+          return { form, edits: allowedEdits(settings.fuzzy, form) };
+        })
+      };
+    });
+
+    this.lastMatchAt = new Map();
+    this.reported = new Set();
+  }
+
+  /**
+   * Looks for the keywords in a segment and emits `match` for each one found
+   * @param {Object} segment - A normalized segment
+   * @returns {Object[]} The matches that were reported
+   */
+  check(segment) {
+    if (!segment || typeof segment !== 'object' || !segment.text || (!segment.completed && !this.interim)) {
+      return [];
+    }
+    const display = String(segment.text).trim().split(/\s+/).filter(Boolean);
+    const tokens = display.map(normalizeWord);
+    const stems = tokens.map(stem);
+    const timed = Array.isArray(segment.words) && segment.words.length === display.length;
+    const matches = [];
+
+    for (const keyword of this.keywords) {
+      const found = this._find(keyword, keyword.stemming ? stems : tokens);
+      if (!found) {
+        continue;
+      }
+      const key = `${keyword.id}\u0000${segment.id}`;
+      const now = Date.now();
+      const last = this.lastMatchAt.get(keyword.id);
+      if ((segment.id && this.reported.has(key)) || (last !== undefined && now - last < keyword.cooldown)) {
+        continue;
+      }
+      this.lastMatchAt.set(keyword.id, now);
+      if (segment.id) {
+        this._remember(key);
+      }
+
+      const { index, length, edits, letters } = found;
+      const start = timed ? segment.words[index].start : segment.start;
+      const end = timed ? segment.words[index + length - 1].end : segment.end;
+      const match = {
+        keyword: keyword.keyword,
+        id: keyword.id,
+        matched: display.slice(index, index + length).join(' '),
+        score: letters > 0 ? Math.max(0, 1 - edits / letters) : 1,
+        final: Boolean(segment.completed),
+        start,
+        end,
+        timestamp: typeof segment.startEpoch === 'number' && typeof start === 'number' && typeof segment.start === 'number'
+          ? segment.startEpoch + (start - segment.start) * 1000
+          : now,
+        context: {
+          before: display.slice(Math.max(0, index - this.contextWords), index).join(' '),
+          match: display.slice(index, index + length).join(' '),
+          after: display.slice(index + length, index + length + this.contextWords).join(' ')
+        },
+        segment
+      };
+      matches.push(match);
+      this.emit('match', match);
+      if (this.webhook) {
+        this._post(match);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Forgets cooldowns and which segments were reported
+   */
+  reset() {
+    this.lastMatchAt.clear();
+    this.reported.clear();
+  }
+
+  /**
+   * Finds the closest occurrence of a keyword's words in a segment's words
+   * @private
+   * @param {Object} keyword - A compiled keyword
+   * @param {string[]} forms - The segment's normalized (and possibly stemmed) words
+   * @returns {{index: number, length: number, edits: number, letters: number}|null}
+   */
+  _find(keyword, forms) {
+    const length = keyword.words.length;
+    const letters = keyword.words.reduce((sum, word) => sum + word.form.length, 0);
+    let best = null;
+    for (let index = 0; index + length <= forms.length; index++) {
+      let edits = 0;
+      let matched = true;
+      for (let offset = 0; offset < length && matched; offset++) {
+        const word = keyword.words[offset];
+        const distance = editDistance(word.form, forms[index + offset], word.edits);
+        matched = distance <= word.edits;
+        edits += distance;
+      }
+      if (matched && (!best || edits < best.edits)) {
+        best = { index, length, edits, letters };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Records that a keyword was reported for a segment
+   * @private
+   * @param {string} key - Keyword id and segment id
+   */
+  _remember(key) {
+    this.reported.add(key);
+    if (this.reported.size > MAX_REMEMBERED_SEGMENTS) {
+      this.reported.delete(this.reported.values().next().value);
+    }
+  }
+
+  /**
+   * Posts a match to the webhook, emitting `webhook-failed` if it cannot be delivered
+   * @private
+   * @param {Object} match - The match
+   */
+  _post(match) {
+    const timeout = this.webhook.timeout !== undefined ? this.webhook.timeout : 5000;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    fetch(this.webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.webhook.headers },
+      body: JSON.stringify(match),
+      signal: controller.signal
+    })
+      .then((res) => {
+        if (!res.ok) {
+          throw new IntegrationError(`Keyword webhook returned an error: ${res.status} ${res.statusText}`, {
+            retryable: res.status >= 500
+          });
+        }
+      })
+      .catch((err) => {
+        const error = err instanceof IntegrationError
+          ? err
+          : new IntegrationError(
+            err.name === 'AbortError'
+              ? `Keyword webhook timed out after ${timeout} ms.`
+              : `Keyword webhook request failed: ${err.message}`,
+            { cause: err, retryable: true }
+          );
+        this.emit('webhook-failed', { error, match });
+      })
+      .finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = KeywordSpotter;
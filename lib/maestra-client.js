@@ -1,5 +1,16 @@
 const EventEmitter = require('events');
 const WebSocketClient = require('./websocket-client');
+const Transcript = require('./transcript');
+const { exportSegments } = require('./exporters');
+const InterimStabilizer = require('./interim-stabilizer');
+const AudioRingBuffer = require('./audio-ring-buffer');
+const TextProcessor = require('./text-processor');
+const { Redactor } = require('./redactor');
+const KeywordSpotter = require('./keyword-spotter');
+const { retextWords } = require('./segment');
+const { formatTimecode, secondsOfDay } = require('./timecode');
+const { ConnectionState, canTransition } = require('./connection-state');
+const { MaestraError, StateError } = require('./errors');
 
 class MaestraClient extends EventEmitter {
   /**
@@ -11,12 +22,58 @@ class MaestraClient extends EventEmitter {
    * @param {string} [options.sourceLanguage] - Source language code (e.g., 'en', 'fr', 'auto')
    * @param {string} [options.language] - Legacy: Source language code (use sourceLanguage instead)
    * @param {string} [options.targetLanguage] - Target language for translation
+   * @param {string[]} [options.targetLanguages] - Several target languages to translate into simultaneously.
+   *   The processor's audio is fanned out to one session per language, or sent to a single session when
+   *   `multiLanguageSession` is set. Translation events carry a `language` field.
+   * @param {boolean} [options.multiLanguageSession=false] - Request all `targetLanguages` in one session
+   *   (requires server support)
    * @param {string} [options.apiKey] - API key for authentication
    * @param {boolean} [options.saveToDashboard] - Save transcription to dashboard after session
    * @param {boolean} [options.useVad=true] - Use voice activity detection
    * @param {string} [options.voiceId] - Voice ID for voice-over generation
    * @param {boolean} [options.autoVoiceCloning=false] - Enable automatic voice cloning
    * @param {number} [options.connectionTimeout=10000] - Timeout for server response in milliseconds
+   * @param {boolean|Object} [options.reconnect=false] - Automatically resume the session (same uid) when the
+   *   connection drops. Pass `true` for the defaults or `{ maxAttempts, initialDelay, maxDelay, factor, jitter }`.
+   * @param {number} [options.audioBufferSeconds=0] - Seconds of audio to hold while the server is not ready and
+   *   replay in order once it is. 0 disables buffering.
+   * @param {Object} [options.backpressure] - Apply a policy when the socket's outgoing buffer grows past a threshold:
+   *   `{ policy: 'block' | 'drop-oldest' | 'skip-silence', highWaterMark, lowWaterMark, maxQueueSeconds,
+   *   silenceThreshold, congestionInterval }`. With 'block' the audio processor is paused until the buffer drains.
+   * @param {number} [options.configUpdateTimeout=5000] - How long updateConfig() waits for the server to acknowledge
+   *   a change before falling back to a reconnect, in milliseconds
+   * @param {string|boolean} [options.proxy] - HTTP, HTTPS or SOCKS proxy URL. Defaults to HTTPS_PROXY / HTTP_PROXY /
+   *   ALL_PROXY from the environment (honouring NO_PROXY); `false` always connects directly.
+   * @param {import('http').Agent} [options.agent] - Custom agent for the connection; takes precedence over `proxy`
+   * @param {string|Buffer|Array<string|Buffer>} [options.ca] - Extra PEM CA certificates to trust
+   * @param {string|Buffer} [options.cert] - PEM client certificate
+   * @param {string|Buffer} [options.key] - PEM private key for the client certificate
+   * @param {string} [options.passphrase] - Passphrase for `key`
+   * @param {string|Buffer} [options.pfx] - PFX/PKCS12 client certificate bundle
+   * @param {boolean} [options.rejectUnauthorized=true] - Verify the server certificate
+   * @param {Object} [options.headers] - Extra HTTP headers sent with the WebSocket handshake
+   * @param {boolean|Object} [options.heartbeat=false] - Detect half-open connections with ws ping/pong and a
+   *   watchdog for server silence while audio flows: `true` or `{ interval, timeout, staleAfter }`. A stale
+   *   connection emits `connection-stale` and is handed to the reconnect logic.
+   * @param {number} [options.endOfStreamTimeout=30000] - When the processor's source ends, the longest time to
+   *   wait for the server to finalize the remaining audio before closing, in milliseconds
+   * @param {number} [options.endOfStreamIdleTimeout=3000] - When the source ends, close once the server has
+   *   been silent for this long, in milliseconds
+   * @param {Object} [options.transcriptRetention] - Cap the segments kept by the transcript:
+   *   `{ maxSegments, maxDuration }` (seconds). Unlimited by default.
+   * @param {Object} [options.interimStability] - How `stable-text` is derived from interim results:
+   *   `{ minAgreement, throttle, debounce }`. Words are committed once `minAgreement` (default 2) successive
+   *   hypotheses agree on them; `throttle` and `debounce` (milliseconds) limit how often the event fires.
+   * @param {Object} [options.timecode] - Add SMPTE `startTimecode` / `endTimecode` to every segment:
+   *   `{ start, frameRate, dropFrame }`. `start` is the timecode of the first audio sample (`'HH:MM:SS:FF'`,
+   *   default `'00:00:00:00'`) or `'time-of-day'` to follow the local wall clock; `frameRate` defaults to 30 and
+   *   `dropFrame` to true for 29.97 and 59.94.
+   * @param {Object|TextProcessor} [options.postProcessing] - Correct segment text with find/replace rules and a
+   *   per-language glossary: `{ rules, glossary, file, watch }` (see {@link TextProcessor}) or a TextProcessor.
+   *   Corrected segments keep the text as received in `originalText`.
+   * @param {Object|Redactor} [options.redaction] - Redact profanity and personal data from segments before they
+   *   are emitted: `{ mode, maskCharacter, profanity, email, phone, creditCard, iban }` (see {@link Redactor}) or a
+   *   Redactor. Finalized segments with redactions are reported by a `redaction` event.
    */
   constructor(options = {}) {
     super();
@@ -32,32 +89,122 @@ class MaestraClient extends EventEmitter {
       saveToDashboard: options.saveToDashboard !== undefined ? options.saveToDashboard : false,
       voiceId: options.voiceId || null,
       autoVoiceCloning: options.autoVoiceCloning !== undefined ? options.autoVoiceCloning : false,
+      endOfStreamTimeout: options.endOfStreamTimeout !== undefined ? options.endOfStreamTimeout : 30000,
+      endOfStreamIdleTimeout: options.endOfStreamIdleTimeout !== undefined ? options.endOfStreamIdleTimeout : 3000,
       ...options
     };
+    if (Array.isArray(this.options.targetLanguages) && this.options.targetLanguages.length > 0) {
+      this.options.targetLanguage = this.options.targetLanguages[0];
+    } else {
+      this.options.targetLanguages = null;
+    }
     
+    // The primary session carries transcription; additional sessions only
+    // contribute translations into the remaining target languages
     this.websocketClient = null;
+    this.translationClients = [];
+    this.connectPromise = null;
     this.streamProcessor = null;
-    this.isTranscribing = false;
+    this.processorListeners = [];
+    this.state = ConnectionState.IDLE;
     
-    // Store transcription data
-    this.transcriptionData = {
-      segments: [],
-      translatedSegments: [],
-      finalizedSegments: [],
-      finalizedTranslatedSegments: []
-    };
+    // Segments and translations of the current transcription
+    this.transcript = new Transcript(this.options.transcriptRetention);
+    this.stabilizer = new InterimStabilizer(this.options.interimStability);
+    this.stabilizer.on('stable-text', (info) => this.emit('stable-text', info));
+
+    // Wall-clock time (ms since the epoch) of the first audio sample sent, which the
+    // server's segment times count from
+    this.sessionEpoch = null;
+    if (this.options.timecode) {
+      // Validates the settings up front
+      this._formatTimecode(0);
+    }
+
+    this.textProcessor = null;
+    if (this.options.postProcessing) {
+      this.textProcessor = this.options.postProcessing instanceof TextProcessor
+        ? this.options.postProcessing
+        : new TextProcessor(this.options.postProcessing);
+      this.textProcessor.on('reload', (info) => this.emit('post-processing-reloaded', info));
+      this.textProcessor.on('error', (err) => this.emit('error', err));
+    }
+
+    this.redactor = null;
+    if (this.options.redaction) {
+      this.redactor = this.options.redaction instanceof Redactor
+        ? this.options.redaction
+        : new Redactor(this.options.redaction);
+    }
+
+    this.keywordSpotter = null;
   }
   
   /**
-   * Initialize the WebSocket client and set up event forwarding
+   * Whether audio is currently being streamed, including while a dropped
+   * connection is being resumed
+   * @type {boolean}
+   */
+  get isTranscribing() {
+    return this.state === ConnectionState.STREAMING ||
+      (this.state === ConnectionState.RECONNECTING && this.streamProcessor !== null);
+  }
+
+  /**
+   * Returns the current connection state
+   * @returns {string} One of the {@link ConnectionState} values
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Moves to a new state and emits `state-change`. Transitions that are not
+   * legal from the current state are ignored.
+   * @private
+   * @param {string} next - The new state
+   * @param {string} reason - Why the state changed
+   * @returns {boolean} True if the state changed
+   */
+  _setState(next, reason) {
+    const previous = this.state;
+    if (previous === next || !canTransition(previous, next)) {
+      return false;
+    }
+    this.state = next;
+    this.emit('state-change', { previous, current: next, reason });
+    return true;
+  }
+
+  /**
+   * Initialize the WebSocket client(s) and set up event forwarding
    * @private
    */
   _initWebSocketClient() {
     if (this.websocketClient) {
       return;
     }
-    
-    this.websocketClient = new WebSocketClient(
+
+    const targetLanguages = this.options.targetLanguages;
+    if (!targetLanguages || this.options.multiLanguageSession) {
+      this.websocketClient = this._createSession(this.options.targetLanguage, true, targetLanguages);
+      return;
+    }
+
+    this.websocketClient = this._createSession(targetLanguages[0], true);
+    this.translationClients = targetLanguages.slice(1).map((language) => this._createSession(language, false));
+  }
+
+  /**
+   * Creates a WebSocket session and forwards its events
+   * @private
+   * @param {string|null} targetLanguage - The translation language of this session
+   * @param {boolean} isPrimary - Whether this session also reports transcription, language detection and voice-over
+   * @param {string[]} [targetLanguages] - All languages, when a single session translates into several
+   * @returns {WebSocketClient} The session
+   */
+  _createSession(targetLanguage, isPrimary, targetLanguages) {
+    const websocketClient = new WebSocketClient(
       this.options.host, 
       this.options.port, 
       {
@@ -65,23 +212,127 @@ class MaestraClient extends EventEmitter {
         sourceLanguage: this.options.sourceLanguage,
         apiKey: this.options.apiKey,
         saveToDashboard: this.options.saveToDashboard,
-        targetLanguage: this.options.targetLanguage,
-        voiceId: this.options.voiceId,
+        targetLanguage,
+        targetLanguages,
+        // Voice-over is generated for the primary language only
+        voiceId: isPrimary ? this.options.voiceId : null,
         autoVoiceCloning: this.options.autoVoiceCloning,
-        connectionTimeout: this.options.connectionTimeout
+        connectionTimeout: this.options.connectionTimeout,
+        reconnect: this.options.reconnect,
+        audioBufferSeconds: this.options.audioBufferSeconds,
+        backpressure: this.options.backpressure,
+        configUpdateTimeout: this.options.configUpdateTimeout,
+        proxy: this.options.proxy,
+        agent: this.options.agent,
+        ca: this.options.ca,
+        cert: this.options.cert,
+        key: this.options.key,
+        passphrase: this.options.passphrase,
+        pfx: this.options.pfx,
+        rejectUnauthorized: this.options.rejectUnauthorized,
+        headers: this.options.headers,
+        heartbeat: this.options.heartbeat
       }
     );
     
     // Forward events from WebSocketClient to MaestraClient
-    this.websocketClient.on('ready', () => this.emit('ready'));
-    this.websocketClient.on('error', (error) => this.emit('error', error));
-    this.websocketClient.on('disconnect', () => this.emit('disconnect'));
-    this.websocketClient.on('languageDetected', (language) => this.emit('language-detected', language));
-    this.websocketClient.on('segments', (segments) => this.emit('interim-transcription', segments));
-    this.websocketClient.on('translatedSegments', (segments) => this.emit('interim-translation', segments));
-    this.websocketClient.on('finalizedSegment', (segment) => this.emit('finalized-transcription', segment));
-    this.websocketClient.on('finalizedTranslatedSegment', (segment) => this.emit('finalized-translation', segment));
-    this.websocketClient.on('finalizedSegmentAudioURL', (audioURL) => {
+    websocketClient.on('ready', () => {
+      if (!this._allSessionsReady()) {
+        return;
+      }
+      // Listeners commonly call transcribe() from 'ready', so the state must already allow it
+      this._setState(ConnectionState.READY, 'server-ready');
+      this.emit('ready');
+    });
+    websocketClient.on('error', (error) => {
+      // Errors emitted while connect() is pending also reject it; the rest are only reported here
+      if (websocketClient.pendingConnect) {
+        this._emitError(error);
+      } else {
+        this.emit('error', error);
+      }
+    });
+    websocketClient.on('close', () => {
+      // Failed connection attempts are settled by connect(), and stop() handles its own close
+      if (this.state === ConnectionState.READY || this.state === ConnectionState.STREAMING) {
+        const wasStreaming = this.streamProcessor !== null;
+        this._teardown();
+        this._setState(ConnectionState.CLOSED, 'connection-closed');
+        if (wasStreaming) {
+          this.emit('transcription-stopped');
+        }
+      }
+    });
+    websocketClient.on('reconnecting', (info) => {
+      this._setState(ConnectionState.RECONNECTING, info.reason);
+      this.emit('reconnecting', info);
+    });
+    websocketClient.on('reconnected', (info) => {
+      if (!this._allSessionsReady()) {
+        return;
+      }
+      this._setState(this.streamProcessor ? ConnectionState.STREAMING : ConnectionState.READY, 'reconnected');
+      this.emit('reconnected', info);
+    });
+    websocketClient.on('reconnect-failed', (info) => {
+      // The session cannot be resumed, so release the audio source
+      const wasStreaming = this.streamProcessor !== null;
+      this._teardown();
+      this._setState(ConnectionState.FAILED, 'reconnect-failed');
+      this.emit('reconnect-failed', info);
+      if (wasStreaming) {
+        this.emit('transcription-stopped');
+      }
+    });
+    websocketClient.on('connection-stale', (info) => this.emit('connection-stale', info));
+    websocketClient.on('buffer-overflow', (info) => this.emit('buffer-overflow', info));
+    websocketClient.on('congestion', (info) => {
+      if (info.policy === 'block') {
+        this._pauseProcessor();
+      }
+      this.emit('congestion', info);
+    });
+    websocketClient.on('congestion-cleared', (info) => {
+      if (info.policy === 'block') {
+        this._resumeProcessor();
+      }
+      this.emit('congestion-cleared', info);
+    });
+    websocketClient.on('translatedSegments', (segments, language) => {
+      const translated = segments.map((segment) => this._prepare(this._withLanguage(segment, language || targetLanguage)));
+      translated.forEach((segment) => this._recordTranslation(segment, false));
+      this.emit('interim-translation', translated);
+    });
+    websocketClient.on('finalizedTranslatedSegment', (segment, language) => {
+      const translated = this._prepare(this._withLanguage(segment, language || targetLanguage));
+      this._recordTranslation(translated, true);
+      this.emit('finalized-translation', translated);
+    });
+
+    if (!isPrimary) {
+      return websocketClient;
+    }
+
+    websocketClient.on('disconnect', () => this.emit('disconnect'));
+    websocketClient.on('config-updated', (result) => this.emit('config-updated', result));
+    websocketClient.on('languageDetected', (language) => this.emit('language-detected', language));
+    websocketClient.on('segments', (rawSegments) => {
+      const segments = rawSegments.map((segment) => this._prepare(segment));
+      this.transcript.updateInterim(segments);
+      this.emit('interim-transcription', segments);
+      this._spotKeywords(segments);
+      this.stabilizer.update(segments);
+    });
+    websocketClient.on('finalizedSegment', (rawSegment) => {
+      const segment = this._prepare(rawSegment);
+      if (segment && typeof segment === 'object') {
+        this.transcript.addFinal(segment);
+      }
+      this.emit('finalized-transcription', segment);
+      this._spotKeywords([segment]);
+      this.stabilizer.finalize(segment);
+    });
+    websocketClient.on('finalizedSegmentAudioURL', (audioURL) => {
       this.emit('finalized-segment-audio-url', audioURL);
       
       // Auto-play audio if voiceOverEnabled is true
@@ -89,75 +340,478 @@ class MaestraClient extends EventEmitter {
         this._playAudioUrl(audioURL);
       }
     });
+    return websocketClient;
+  }
+
+  /**
+   * All open sessions, primary first
+   * @private
+   * @returns {WebSocketClient[]}
+   */
+  _getSessions() {
+    return this.websocketClient ? [this.websocketClient, ...this.translationClients] : [];
+  }
+
+  /**
+   * Whether every session has reported SERVER_READY
+   * @private
+   * @returns {boolean}
+   */
+  _allSessionsReady() {
+    const sessions = this._getSessions();
+    return sessions.length > 0 && sessions.every((session) => session.isServerReady);
+  }
+
+  /**
+   * Adds a translated segment to the transcript
+   * @private
+   * @param {Object} segment - The translated segment, tagged with its language
+   * @param {boolean} completed - Whether the translation is finalized
+   */
+  _recordTranslation(segment, completed) {
+    if (segment && typeof segment === 'object') {
+      this.transcript.addTranslation(segment, segment.language, completed);
+    }
+  }
+
+  /**
+   * Anchors and post-processes a segment received from a session
+   * @private
+   * @param {Object} segment - A normalized segment
+   * @returns {Object} The segment as delivered to listeners
+   */
+  _prepare(segment) {
+    const anchored = this._anchor(segment);
+    const corrected = this.textProcessor
+      ? this.textProcessor.processSegment(anchored, this.options.sourceLanguage)
+      : anchored;
+    return this._redact(corrected);
+  }
+
+  /**
+   * Redacts a segment's text, including `originalText` and the words, and
+   * reports what was redacted from finalized segments with `redaction`
+   * @private
+   * @param {Object} segment - A normalized segment
+   * @returns {Object} The redacted segment
+   */
+  _redact(segment) {
+    if (!this.redactor || !segment || typeof segment !== 'object') {
+      return segment;
+    }
+    const language = segment.language || this.options.sourceLanguage;
+    const { text, redactions } = this.redactor.redact(segment.text, language);
+    const original = segment.originalText !== undefined ? this.redactor.redact(segment.originalText, language) : null;
+    if (redactions.length === 0 && !(original && original.redactions.length > 0)) {
+      return segment;
+    }
+
+    const redacted = { ...segment, text };
+    if (original) {
+      redacted.originalText = original.text;
+    }
+    if (Array.isArray(segment.words)) {
+      // Masking keeps the words in place; removal and tags change them, so their timing is estimated again
+      redacted.words = retextWords(segment.words, text, segment.start, segment.end);
+    }
+
+    if (segment.completed) {
+      this.emit('redaction', {
+        id: segment.id,
+        language: segment.language || null,
+        start: segment.start,
+        end: segment.end,
+        redactions: redactions.length > 0 ? redactions : original.redactions
+      });
+    }
+    return redacted;
+  }
+
+  /**
+   * Anchors a segment's stream-relative times to the wall clock, the configured
+   * timecode and, when the processor reports it, the source's presentation time.
+   * A processor's `getTimestampOffset()` moves `start`, `end` and the word times
+   * onto the source's own timeline.
+   * @private
+   * @param {Object} segment - A normalized segment
+   * @returns {Object} The segment with `startEpoch` / `endEpoch` (ms), `startTimecode` / `endTimecode`
+   *   and `startPts` / `endPts` (seconds) where they can be derived
+   */
+  _anchor(segment) {
+    if (!segment || typeof segment !== 'object') {
+      return segment;
+    }
+    const anchored = { ...segment };
+    const startPts = this.streamProcessor ? this.streamProcessor.startPts : null;
+    const offset = this.streamProcessor && typeof this.streamProcessor.getTimestampOffset === 'function' &&
+      typeof segment.start === 'number'
+      ? this.streamProcessor.getTimestampOffset(segment.start)
+      : 0;
+    for (const [key, time] of [['start', segment.start], ['end', segment.end]]) {
+      if (typeof time !== 'number') {
+        continue;
+      }
+      if (this.sessionEpoch !== null) {
+        anchored[`${key}Epoch`] = this.sessionEpoch + time * 1000;
+      }
+      if (this.options.timecode) {
+        anchored[`${key}Timecode`] = this._formatTimecode(time);
+      }
+      if (typeof startPts === 'number') {
+        anchored[`${key}Pts`] = startPts + offset + time;
+      }
+      if (offset) {
+        anchored[key] = time + offset;
+      }
+    }
+    if (offset && Array.isArray(segment.words)) {
+      anchored.words = segment.words.map((word) => ({
+        ...word,
+        start: typeof word.start === 'number' ? word.start + offset : word.start,
+        end: typeof word.end === 'number' ? word.end + offset : word.end
+      }));
+    }
+    return anchored;
+  }
+
+  /**
+   * Formats a stream-relative time with the `timecode` option
+   * @private
+   * @param {number} seconds - Seconds since the first audio sample
+   * @returns {string} The SMPTE timecode
+   */
+  _formatTimecode(seconds) {
+    const { start, frameRate, dropFrame } = this.options.timecode;
+    if (start === 'time-of-day') {
+      const epoch = this.sessionEpoch !== null ? this.sessionEpoch : Date.now();
+      return formatTimecode(secondsOfDay(epoch + seconds * 1000), { frameRate, dropFrame });
+    }
+    return formatTimecode(seconds, { frameRate, dropFrame, start });
+  }
+
+  /**
+   * Tags a translated segment with its language, keeping one supplied by the server
+   * @private
+   * @param {Object} segment - The translated segment
+   * @param {string} language - The session's target language
+   * @returns {Object} The segment with a `language` field
+   */
+  _withLanguage(segment, language) {
+    if (!segment || typeof segment !== 'object' || segment.language) {
+      return segment;
+    }
+    return { ...segment, language: segment.target_language || language };
   }
   
   /**
    * Connects to the Maestra server.
-   * This should be called before any transcription attempts.
-   * @returns {MaestraClient} - Returns this instance for chaining.
+   * This should be called before any transcription attempts. The `ready` and
+   * `error` events are emitted as well, so the returned promise may be ignored.
+   * @returns {Promise<MaestraClient>} - Resolves with this instance once the server is ready, or rejects
+   *   with the authentication, timeout or connection error.
    */
   connect() {
+    if (this.connectPromise) {
+      return this.connectPromise;
+    }
+    if (this.state === ConnectionState.STOPPING) {
+      return this._fail(new StateError('Cannot connect while the client is stopping. Wait for stop() to complete first.'));
+    }
     if (!this.websocketClient) {
       this._initWebSocketClient();
     }
-    this.websocketClient.connect().catch(err => this.emit('error', err));
-    return this;
+
+    const websocketClient = this.websocketClient;
+    this._setState(ConnectionState.CONNECTING, 'connect');
+    const promise = Promise.all(this._getSessions().map((session) => session.connect())).then(
+      () => this,
+      (err) => {
+        // Release the other sessions and allow a later connect() to start afresh
+        if (this.websocketClient === websocketClient) {
+          this._teardown();
+          this._setState(ConnectionState.FAILED, err.code || 'connection-failed');
+        }
+        throw err;
+      }
+    );
+    this.connectPromise = promise;
+    return this._handled(promise);
   }
   
   /**
    * Begins a transcription stream using a provided audio processor.
+   * Failures are emitted as `error` events as well as rejecting the returned promise.
    * @param {Object} streamProcessor - An instance of an audio processor (e.g., MicrophoneProcessor).
-   * @returns {MaestraClient} - Returns this instance for chaining.
+   * @returns {Promise<MaestraClient>} - Resolves with this instance once the processor has started.
    */
   transcribe(streamProcessor) {
     if (this.isTranscribing) {
-      this.emit('error', new Error('Already transcribing. Stop current transcription first.'));
-      return this;
+      return this._fail(new StateError('Already transcribing. Stop current transcription first.'));
     }
-    if (!this.websocketClient || !this.websocketClient.isServerReady) {
-      this.emit('error', new Error('Not connected or server not ready. Call connect() and wait for the "ready" event first.'));
-      return this;
+    if (this.state !== ConnectionState.READY) {
+      return this._fail(new StateError(`Not connected or server not ready (state: ${this.state}). Call connect() and wait for the "ready" event first.`));
     }
 
     // Wire up the processor to send audio to the websocket
     streamProcessor.onAudioCallback = (audioData) => {
-      if (this.websocketClient) {
-        this.websocketClient.sendAudio(audioData);
+      if (this.sessionEpoch === null) {
+        // The chunk was captured over its own duration, so the stream began that long ago
+        this.sessionEpoch = Date.now() - AudioRingBuffer.sampleCount(audioData) / AudioRingBuffer.SAMPLE_RATE * 1000;
+      }
+      for (const session of this._getSessions()) {
+        session.sendAudio(audioData);
       }
     };
     
+    // A failure while the processor starts may also reject the promise below, which then reports it
+    let starting = true;
+    let startError = null;
     streamProcessor.onErrorCallback = (error) => {
-      this.emit('error', error);
+      if (starting) {
+        startError = error;
+        this._emitError(error);
+      } else {
+        this.emit('error', error);
+      }
     };
 
+    streamProcessor.onEndCallback = () => this._handleEndOfStream(streamProcessor);
+
+    this.transcript.clear();
+    this.stabilizer.reset();
+    this.sessionEpoch = null;
     this.streamProcessor = streamProcessor;
-    this.streamProcessor.start().catch(err => this.emit('error', err));
-    
-    this.isTranscribing = true;
+    this._watchProcessor(streamProcessor);
+    this._setState(ConnectionState.STREAMING, 'transcribe');
     this.emit('transcription-started');
-    
-    return this;
+
+    const promise = Promise.resolve()
+      .then(() => streamProcessor.start())
+      .then(
+        () => {
+          starting = false;
+          return this;
+        },
+        (err) => {
+          starting = false;
+          if (this.streamProcessor === streamProcessor) {
+            this._unwatchProcessor();
+            streamProcessor.stop();
+            this.streamProcessor = null;
+            this._setState(ConnectionState.READY, 'processor-failed');
+          }
+          if (err !== startError) {
+            this._emitError(err);
+          }
+          throw err;
+        }
+      );
+    return this._handled(promise);
   }
   
   /**
    * Stops the current transcription.
-   * @returns {MaestraClient} - Returns this instance for chaining.
+   * @returns {Promise<MaestraClient>} - Resolves with this instance once the processor has been torn down
+   *   and the socket has closed.
    */
   stop() {
-    if (this.streamProcessor) {
-      this.streamProcessor.stop();
-      this.streamProcessor = null;
+    this._setState(ConnectionState.STOPPING, 'stop');
+    const tornDown = this._teardown();
+    this.emit('transcription-stopped');
+
+    const stopped = tornDown.then(() => {
+      this._setState(ConnectionState.CLOSED, 'stop');
+      return this;
+    });
+    return this._handled(stopped);
+  }
+
+  /**
+   * Finishes a transcription whose audio source has ended: tells the server
+   * no more audio follows, waits for the remaining finalized segments, emits
+   * `transcription-complete` and closes the session.
+   * @private
+   * @param {Object} streamProcessor - The processor whose source ended
+   * @returns {Promise<void>}
+   */
+  _handleEndOfStream(streamProcessor) {
+    if (this.streamProcessor !== streamProcessor) {
+      return Promise.resolve();
     }
-    
-    if (this.websocketClient) {
-      this.websocketClient.close();
-      this.websocketClient = null;
+    const primary = this.websocketClient;
+    const sessions = this._getSessions();
+    this._setState(ConnectionState.STOPPING, 'end-of-stream');
+    this.emit('end-of-stream');
+
+    const sent = sessions.map((session) => session.sendEndOfAudio());
+    const finalized = sent.some(Boolean) ? this._waitForFinalization(sessions) : Promise.resolve();
+
+    return finalized.then(() => {
+      // stop() was called while waiting and has already closed the session
+      if (this.websocketClient !== primary) {
+        return;
+      }
+      this.emit('transcription-complete', this._buildCompletedTranscript());
+      return this._teardown().then(() => {
+        this._setState(ConnectionState.CLOSED, 'end-of-stream');
+        this.emit('transcription-stopped');
+      });
+    });
+  }
+
+  /**
+   * Waits until the server has stopped sending results, has closed the
+   * session, or the end-of-stream timeout has passed
+   * @private
+   * @param {WebSocketClient[]} sessions - The sessions to wait for
+   * @returns {Promise<void>}
+   */
+  _waitForFinalization(sessions) {
+    return new Promise((resolve) => {
+      let idleTimer = null;
+      let maxTimer = null;
+
+      const finish = () => {
+        clearTimeout(idleTimer);
+        clearTimeout(maxTimer);
+        for (const session of sessions) {
+          session.removeListener('transcription', resetIdle);
+          session.removeListener('close', finish);
+          session.removeListener('disconnect', finish);
+          session.removeListener('reconnecting', finish);
+        }
+        resolve();
+      };
+      const resetIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(finish, this.options.endOfStreamIdleTimeout);
+      };
+
+      for (const session of sessions) {
+        session.on('transcription', resetIdle);
+        session.once('close', finish);
+        session.once('disconnect', finish);
+        // A dropped connection would replay nothing, so stop waiting for it
+        session.once('reconnecting', finish);
+      }
+      maxTimer = setTimeout(finish, this.options.endOfStreamTimeout);
+      resetIdle();
+    });
+  }
+
+  /**
+   * Assembles the payload of `transcription-complete`
+   * @private
+   * @returns {{text: string, segments: Object[], translations: Object<string, Object[]>}}
+   */
+  _buildCompletedTranscript() {
+    const translations = {};
+    for (const language of this.transcript.getLanguages()) {
+      translations[language] = this.transcript.getTranslations(language, { completed: true });
     }
+    return {
+      text: this.transcript.getText(),
+      segments: this.transcript.getSegments({ completed: true }),
+      translations
+    };
+  }
+
+  /**
+   * Stops the processor and closes the socket without changing state
+   * @private
+   * @returns {Promise<void>} Resolves once the processor has stopped and the socket has closed
+   */
+  _teardown() {
+    this._unwatchProcessor();
+    const processorStopped = this.streamProcessor
+      ? Promise.resolve(this.streamProcessor.stop())
+      : Promise.resolve();
+    this.streamProcessor = null;
+    this.stabilizer.reset();
     
-    this.isTranscribing = false;
-    this.emit('transcription-stopped');
+    const socketsClosed = this._getSessions().map((session) => session.close());
+    this.websocketClient = null;
+    this.translationClients = [];
+    this.connectPromise = null;
     
-    return this;
+    return Promise.all([processorStopped, ...socketsClosed]).then(() => {});
+  }
+
+  /**
+   * Changes session settings mid-session without interrupting the audio
+   * processor. The change is applied in-band when the server supports it and
+   * through a transparent reconnect otherwise; `config-updated` is emitted
+   * once it is in effect.
+   * @param {Object} changes - Any of `sourceLanguage`, `targetLanguage`, `voiceId`, `saveToDashboard`
+   *   and `autoVoiceCloning`
+   * @returns {Promise<{config: Object, method: string}>} - Resolves once the change is in effect, with `method`
+   *   set to 'in-band' or 'reconnect'.
+   */
+  updateConfig(changes = {}) {
+    if (this.state !== ConnectionState.READY && this.state !== ConnectionState.STREAMING) {
+      return this._fail(new StateError(`Cannot update the configuration in state "${this.state}". Wait for the "ready" event first.`));
+    }
+
+    if ('targetLanguage' in changes && this.options.targetLanguages) {
+      return this._fail(new MaestraError('targetLanguage cannot be updated while translating into several targetLanguages.', { code: 'INVALID_CONFIG' }));
+    }
+
+    // Voice-over settings only apply to the primary session
+    const { voiceId, autoVoiceCloning, ...sharedChanges } = changes;
+    const updates = [
+      this.websocketClient.updateConfig(changes),
+      ...(Object.keys(sharedChanges).length > 0
+        ? this.translationClients.map((session) => session.updateConfig(sharedChanges))
+        : [])
+    ];
+    const promise = Promise.all(updates).then(([result]) => result).then(
+      (result) => {
+        Object.assign(this.options, changes);
+        return result;
+      },
+      (err) => {
+        this._emitError(err);
+        throw err;
+      }
+    );
+    return this._handled(promise);
+  }
+
+  /**
+   * Emits an error and returns a promise rejected with it
+   * @private
+   * @param {Error} error - The error to report
+   * @returns {Promise<never>}
+   */
+  _fail(error) {
+    this._emitError(error);
+    return this._handled(Promise.reject(error));
+  }
+
+  /**
+   * Emits `error` for a failure that is also reported through a returned
+   * promise. Without an `error` listener EventEmitter would throw, breaking
+   * callers that only use the promise, so the event is skipped then.
+   * @private
+   * @param {Error} error - The error to report
+   */
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Marks a lifecycle promise as handled. Errors are also emitted as `error`
+   * events when there is a listener, so callers using the event style may
+   * ignore the returned promise without triggering unhandled rejection warnings.
+   * @private
+   * @param {Promise} promise - The promise to return to the caller
+   * @returns {Promise} The same promise
+   */
+  _handled(promise) {
+    promise.catch(() => {});
+    return promise;
   }
   
   /**
@@ -165,14 +819,162 @@ class MaestraClient extends EventEmitter {
    * @returns {Object} - The current transcription data
    */
   getTranscriptionData() {
+    const translations = (completed) => this.transcript.getLanguages()
+      .reduce((all, language) => all.concat(this.transcript.getTranslations(language, { completed })), [])
+      .sort((a, b) => (a.start || 0) - (b.start || 0));
+
     return {
-      interimTranscription: this.transcriptionData.segments,
-      interimTranslation: this.transcriptionData.translatedSegments,
-      finalizedTranscription: this.transcriptionData.finalizedSegments,
-      finalizedTranslation: this.transcriptionData.finalizedTranslatedSegments
+      interimTranscription: this.transcript.getSegments({ completed: false }),
+      interimTranslation: translations(false),
+      finalizedTranscription: this.transcript.getSegments({ completed: true }),
+      finalizedTranslation: translations(true)
     };
   }
+
+  /**
+   * Watches the transcription for keywords and emits `keyword-match` for each
+   * mention. Replaces any keywords watched before.
+   * @param {Array<string|Object>} keywords - Words or phrases, or `{ keyword, id, fuzzy, stemming, cooldown }`
+   * @param {Object} [options] - Matching settings
+   * @param {boolean|number} [options.fuzzy=true] - Tolerate misspellings: `true` allows one edit in words of 5 to 8
+   *   letters and two in longer words, a number sets the edits per word, `false` requires exact words
+   * @param {boolean} [options.stemming=true] - Ignore plural, possessive, -ing, -ed and -ly endings
+   * @param {boolean} [options.interim=false] - Also match interim segments
+   * @param {number} [options.cooldown=0] - Milliseconds after a match during which the same keyword is not reported
+   * @param {number} [options.contextWords=8] - Words of context reported on each side of a match
+   * @param {string|Object} [options.webhook] - URL to POST each match to as JSON, or `{ url, headers, timeout }`
+   * @returns {KeywordSpotter} The spotter, whose `check()` can also be used on other text
+   */
+  watchKeywords(keywords, options = {}) {
+    const spotter = new KeywordSpotter(keywords, options);
+    this.unwatchKeywords();
+    spotter.on('match', (match) => this.emit('keyword-match', match));
+    spotter.on('webhook-failed', (failure) => this.emit('keyword-webhook-failed', failure));
+    this.keywordSpotter = spotter;
+    return spotter;
+  }
+
+  /**
+   * Stops watching for keywords
+   */
+  unwatchKeywords() {
+    if (this.keywordSpotter) {
+      this.keywordSpotter.removeAllListeners();
+      this.keywordSpotter = null;
+    }
+  }
+
+  /**
+   * Passes transcription segments to the keyword spotter
+   * @private
+   * @param {Object[]} segments - Interim or finalized segments
+   */
+  _spotKeywords(segments) {
+    if (!this.keywordSpotter) {
+      return;
+    }
+    for (const segment of segments) {
+      this.keywordSpotter.check(segment);
+    }
+  }
+
+  /**
+   * Returns the live transcript, which can be queried by time range
+   * @returns {Transcript}
+   */
+  getTranscript() {
+    return this.transcript;
+  }
   
+  /**
+   * Exports the finalized transcript, or one of its translations, as a
+   * subtitle or text document
+   * @param {string} format - 'srt', 'vtt', 'ttml', 'scc', 'json' or 'txt'
+   * @param {Object} [options] - Export options
+   * @param {string} [options.language] - Export the translation into this language instead of the source
+   * @param {number} [options.maxCharsPerLine=42] - Maximum characters per subtitle line (at most 32 for SCC)
+   * @param {number} [options.maxLinesPerCue=2] - Maximum lines per cue
+   * @param {number} [options.minCueDuration=1] - Minimum cue duration in seconds, where the next cue allows
+   * @param {number} [options.maxCps=0] - Hold each cue long enough to be read at this many characters per second
+   * @param {boolean} [options.dropFrame=true] - SCC only: use drop-frame timecode
+   * @returns {string} The exported document
+   */
+  export(format, options = {}) {
+    const segments = options.language
+      ? this.transcript.getTranslations(options.language, { completed: true })
+      : this.transcript.getSegments({ completed: true });
+    return exportSegments(format, segments, {
+      ...options,
+      language: options.language || this.options.sourceLanguage
+    });
+  }
+
+  /**
+   * Forwards the supervision and failover events of processors that emit them
+   * @private
+   * @param {Object} streamProcessor - The attached processor
+   */
+  _watchProcessor(streamProcessor) {
+    if (typeof streamProcessor.on !== 'function') {
+      return;
+    }
+    for (const event of ['source-lost', 'source-restored', 'source-failed', 'source-error', 'failover']) {
+      const listener = event === 'source-failed'
+        ? (info) => this._handleSourceFailure(streamProcessor, info)
+        : (info) => this.emit(event, info);
+      streamProcessor.on(event, listener);
+      this.processorListeners.push({ streamProcessor, event, listener });
+    }
+  }
+
+  /**
+   * Ends a transcription whose audio source was lost for good. Unlike an
+   * ended source, the transcript is not finalized and the session fails.
+   * @private
+   * @param {Object} streamProcessor - The processor whose source failed
+   * @param {Object} info - The processor's `source-failed` payload
+   */
+  _handleSourceFailure(streamProcessor, info) {
+    if (this.streamProcessor !== streamProcessor) {
+      return;
+    }
+    this._teardown();
+    this._setState(ConnectionState.FAILED, 'source-failed');
+    this.emit('source-failed', info);
+    this.emit('transcription-stopped');
+  }
+
+  /**
+   * Stops forwarding the attached processor's events
+   * @private
+   */
+  _unwatchProcessor() {
+    for (const { streamProcessor, event, listener } of this.processorListeners) {
+      streamProcessor.removeListener(event, listener);
+    }
+    this.processorListeners = [];
+  }
+
+  /**
+   * Pauses the attached processor, if it supports pausing
+   * @private
+   */
+  _pauseProcessor() {
+    if (this.streamProcessor && typeof this.streamProcessor.pause === 'function') {
+      this.streamProcessor.pause();
+    }
+  }
+
+  /**
+   * Resumes the attached processor, if it supports pausing
+   * @private
+   */
+  _resumeProcessor() {
+    if (this.streamProcessor && typeof this.streamProcessor.resume === 'function') {
+      this.streamProcessor.resume();
+    }
+  }
+
   /**
    * Play audio from URL (internal method)
    * @private
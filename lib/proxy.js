@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Proxy resolution for the WebSocket connection
+ *
+ * Resolves which proxy (if any) to use for a WebSocket URL, honouring the
+ * conventional HTTPS_PROXY / HTTP_PROXY / ALL_PROXY and NO_PROXY environment
+ * variables, and creates a matching HTTP CONNECT or SOCKS agent.
+ */
+
+const { MaestraError } = require('./errors');
+
+const DEFAULT_PORTS = {
+  'ws:': 80,
+  'wss:': 443,
+};
+
+/**
+ * Reads an environment variable in either upper or lower case
+ * @private
+ * @param {Object} env - The environment
+ * @param {string} name - The upper-case variable name
+ * @returns {string} The value, or an empty string
+ */
+function readEnv(env, name) {
+  return env[name] || env[name.toLowerCase()] || '';
+}
+
+/**
+ * Checks whether NO_PROXY excludes a host from proxying. Entries are
+ * separated by commas or whitespace and may be `*`, a host name, a domain
+ * suffix (`.example.com` or `*.example.com`) and may carry a port.
+ * @param {string} hostname - The target host name
+ * @param {number} port - The target port
+ * @param {string} noProxy - The NO_PROXY value
+ * @returns {boolean} True if the host must be reached directly
+ */
+function isExcluded(hostname, port, noProxy) {
+  if (!noProxy) {
+    return false;
+  }
+  const host = hostname.toLowerCase();
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === '*') {
+      return true;
+    }
+    const match = entry.toLowerCase().match(/^(.+?)(?::(\d+))?$/);
+    const entryPort = match[2] ? parseInt(match[2], 10) : null;
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+    const domain = match[1].replace(/^\*/, '');
+    if (domain.startsWith('.')) {
+      return host.endsWith(domain) || host === domain.slice(1);
+    }
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Determines the proxy URL to use for a WebSocket URL
+ * @param {string} targetUrl - The ws:// or wss:// URL being connected to
+ * @param {string|boolean} [proxy] - An explicit proxy URL, or `false` to ignore the environment
+ * @param {Object} [env=process.env] - The environment to read proxy variables from
+ * @returns {string|null} The proxy URL, or null for a direct connection
+ */
+function getProxyForUrl(targetUrl, proxy, env = process.env) {
+  if (proxy === false) {
+    return null;
+  }
+  const url = new URL(targetUrl);
+  const port = url.port ? parseInt(url.port, 10) : DEFAULT_PORTS[url.protocol];
+
+  if (isExcluded(url.hostname, port, readEnv(env, 'NO_PROXY'))) {
+    return null;
+  }
+  if (proxy) {
+    return proxy;
+  }
+
+  const fromEnv = url.protocol === 'wss:'
+    ? readEnv(env, 'HTTPS_PROXY') || readEnv(env, 'ALL_PROXY')
+    : readEnv(env, 'HTTP_PROXY') || readEnv(env, 'ALL_PROXY');
+  return fromEnv || null;
+}
+
+/**
+ * Creates an agent that tunnels through the given proxy
+ * @param {string} proxyUrl - An http://, https://, socks://, socks4:// or socks5:// proxy URL
+ * @param {Object} [options] - TLS options used when connecting to an https:// proxy
+ * @returns {import('http').Agent} The proxy agent
+ */
+function createProxyAgent(proxyUrl, options = {}) {
+  const { protocol } = new URL(proxyUrl);
+
+  if (protocol === 'http:' || protocol === 'https:') {
+    const { HttpsProxyAgent } = require('https-proxy-agent');
+    return new HttpsProxyAgent(proxyUrl, options);
+  }
+  if (protocol.startsWith('socks')) {
+    const { SocksProxyAgent } = require('socks-proxy-agent');
+    return new SocksProxyAgent(proxyUrl);
+  }
+  throw new MaestraError(`Unsupported proxy protocol "${protocol}". Use http, https, socks, socks4 or socks5.`, { code: 'INVALID_CONFIG' });
+}
+
+module.exports = {
+  getProxyForUrl,
+  createProxyAgent,
+  isExcluded,
+};
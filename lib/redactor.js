@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Profanity and personal data redaction
+ *
+ * Detects profanity from per-language word lists and personal data read out
+ * on air (email addresses, phone numbers, payment card numbers and IBANs) and
+ * masks, removes or tags it. Card numbers and IBANs are confirmed with their
+ * checksums, and phone numbers need phone-like formatting or a cue word such
+ * as "call", so ordinary numbers are left alone.
+ */
+
+const { MaestraError } = require('./errors');
+
+/**
+ * What a filter does with the text it detects
+ * @readonly
+ * @enum {string}
+ */
+const RedactionMode = Object.freeze({
+  /** Replace letters and digits with the mask character (profanity keeps its first letter) */
+  MASK: 'mask',
+  /** Delete the text */
+  REMOVE: 'remove',
+  /** Replace the text with a tag such as `[EMAIL]` */
+  TAG: 'tag',
+});
+
+/**
+ * Built-in profanity lists by language code. A trailing `*` also matches
+ * any ending.
+ * @private
+ */
+const DEFAULT_PROFANITY = {
+  en: ['fuck*', 'motherfuck*', 'shit*', 'bullshit', 'bitch*', 'bastard*', 'asshole*', 'cunt*', 'dick', 'dickhead*',
+    'prick*', 'wanker*', 'twat*', 'cock', 'cocksucker*', 'pussy', 'slut*', 'whore*', 'bollocks', 'goddamn*'],
+  es: ['mierda*', 'puta*', 'puto*', 'joder', 'jodido*', 'coño', 'cabrón', 'cabrona*', 'gilipollas', 'hostia*',
+    'pendejo*', 'chingar*', 'chingada*', 'verga'],
+  fr: ['merde*', 'putain*', 'connard*', 'connasse*', 'salope*', 'enculé*', 'bordel', 'con', 'conne*', 'foutre',
+    'nique*', 'pute*'],
+  de: ['scheiße*', 'scheisse*', 'arschloch*', 'fick*', 'hure*', 'fotze*', 'wichser*', 'schlampe*', 'miststück*',
+    'verdammt*'],
+  it: ['cazzo*', 'merda*', 'stronzo*', 'stronza*', 'vaffanculo', 'puttana*', 'troia*', 'coglione*'],
+  pt: ['merda*', 'porra*', 'caralho*', 'puta*', 'foda*', 'foder*', 'buceta*', 'cacete'],
+};
+
+/**
+ * Words that announce a phone number in the text just before it
+ * @private
+ */
+const PHONE_CUE = /(?<![\p{L}\p{N}])(?:phone|telephone|tel|mobile|cell|call|dial|fax|whatsapp|number is|teléfono|telefono|móvil|llama|téléphone|portable|appel\p{L}*|numéro|telefon|handy|anruf\p{L}*|cellulare|chiama|telemóvel|número|ligue)(?![\p{L}\p{N}])[^.!?\d]{0,20}$/iu;
+
+/**
+ * Digit runs shaped like ordinary numbers rather than phone numbers: thousands
+ * grouping (1 500 000, 1.500.000) and dates (2023-10-15, 15.10.2023)
+ * @private
+ */
+const NOT_A_PHONE = /^\d{1,3}(?:[ .]\d{3})+$|^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/;
+
+/**
+ * Personal data detectors in the order they run. Card numbers and IBANs go
+ * first so their digits are not taken for phone numbers.
+ * @private
+ */
+const DETECTORS = [
+  {
+    type: 'creditCard',
+    tag: 'CREDIT_CARD',
+    pattern: /(?<![\p{L}\p{N}])\d(?:[ -]?\d){12,18}(?![\p{L}\p{N}])/gu,
+    validate: (match) => luhnValid(match.replace(/\D/g, '')),
+  },
+  {
+    type: 'iban',
+    tag: 'IBAN',
+    // Upper case only, in groups of four, so the words that follow are not taken into the match
+    pattern: /(?<![\p{L}\p{N}])[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?(?![\p{L}\p{N}])/gu,
+    validate: (match) => ibanValid(match.replace(/\s/g, '')),
+  },
+  {
+    type: 'email',
+    tag: 'EMAIL',
+    // Written addresses, and addresses as speech recognition spells them out ("jane at example dot com")
+    pattern: /(?<![\p{L}\p{N}._%+-])[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}|(?<![\p{L}\p{N}])[\p{L}\p{N}._-]+ at [\p{L}\p{N}-]+(?: dot [\p{L}\p{N}-]+)*? dot (?:com|net|org|edu|gov|info|io|co|[a-z]{2})(?![\p{L}\p{N}])/giu,
+    validate: () => true,
+  },
+  {
+    type: 'phone',
+    tag: 'PHONE',
+    pattern: /(?<![\p{L}\p{N}+])\+?\(?\d(?:[\s.()-]{0,2}\d){6,14}(?![\p{L}\p{N}])/gu,
+    validate: (match, offset, text) => {
+      const digits = match.replace(/\D/g, '').length;
+      if (digits < 7 || digits > 15) {
+        return false;
+      }
+      if (PHONE_CUE.test(text.slice(Math.max(0, offset - 40), offset))) {
+        return true;
+      }
+      // Without a cue the number must be written like a phone number: "+44 20 7946 0958", "(555) 123-4567"
+      return !NOT_A_PHONE.test(match) && /^[+(]|[-.()]/.test(match);
+    },
+  },
+];
+
+/**
+ * Checks a number with the Luhn algorithm used by payment cards
+ * @private
+ * @param {string} digits - The card number's digits
+ * @returns {boolean}
+ */
+function luhnValid(digits) {
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN's ISO 13616 mod-97 check digits
+ * @private
+ * @param {string} iban - The IBAN without spaces
+ * @returns {boolean}
+ */
+function ibanValid(iban) {
+  const normalized = iban.toUpperCase();
+  if (normalized.length < 15 || normalized.length > 34) {
+    return false;
+  }
+  const rearranged = normalized.slice(4) + normalized.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = char >= 'A' ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Escapes text for literal use in a regular expression
+ * @private
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a profanity word list into a whole-word pattern
+ * @private
+ * @param {string[]} words - Words, optionally ending in `*`
+ * @returns {RegExp|null}
+ */
+function compileWordList(words) {
+  const alternatives = words
+    .map((word) => String(word).trim().toLowerCase())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((word) => (word.endsWith('*') ? `${escapeRegExp(word.slice(0, -1))}[\\p{L}\\p{M}]*` : escapeRegExp(word)));
+  if (alternatives.length === 0) {
+    return null;
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Reads a filter's setting: `true`, a mode, or `{ mode, ... }`
+ * @private
+ * @param {boolean|string|Object} setting - The filter setting
+ * @param {string} defaultMode - Mode used when the setting has none
+ * @param {string} name - Filter name, for error messages
+ * @returns {Object|null} The filter options with a `mode`, or null when disabled
+ */
+function readFilter(setting, defaultMode, name) {
+  if (!setting) {
+    return null;
+  }
+  const options = typeof setting === 'object' ? setting : {};
+  const mode = typeof setting === 'string' ? setting : options.mode || defaultMode;
+  if (!Object.values(RedactionMode).includes(mode)) {
+    throw new MaestraError(`Invalid redaction mode "${mode}" for ${name}. Use one of: ${Object.values(RedactionMode).join(', ')}.`, {
+      code: 'INVALID_CONFIG'
+    });
+  }
+  return { ...options, mode };
+}
+
+/**
+ * Redacts profanity and personal data from text
+ */
+class Redactor {
+  /**
+   * @param {Object} [options] - Redaction settings. Each filter is `true`, a {@link RedactionMode} or
+   *   `{ mode }`; filters that are not set are off.
+   * @param {string} [options.mode='mask'] - Mode for filters that do not set their own
+   * @param {string} [options.maskCharacter='*'] - Character used by the `mask` mode
+   * @param {boolean|string|Object} [options.profanity] - Mask profanity. As an object it also takes
+   *   `words` (extra words by language code, `'*'` for all languages; a trailing `*` matches any ending) and
+   *   `defaults` (set false to use only `words`).
+   * @param {boolean|string|Object} [options.email] - Redact email addresses, written or spelled out
+   * @param {boolean|string|Object} [options.phone] - Redact phone numbers of 7 to 15 digits that are written
+   *   with a leading `+`, parentheses, dashes or dots, or follow a cue word such as "call" or "phone"
+   * @param {boolean} [options.includeText=false] - Report the redacted text itself in `redactions`. Off by
+   *   default, since the audit would otherwise carry the data that was redacted.
+   * @param {boolean|string|Object} [options.creditCard] - Redact payment card numbers that pass the Luhn check
+   * @param {boolean|string|Object} [options.iban] - Redact upper-case IBANs with valid check digits
+   */
+  constructor(options = {}) {
+    const defaultMode = options.mode || RedactionMode.MASK;
+    this.includeText = options.includeText !== undefined ? options.includeText : false;
+    this.maskCharacter = options.maskCharacter !== undefined ? String(options.maskCharacter) : '*';
+
+    this.detectors = DETECTORS
+      .map((detector) => ({ ...detector, filter: readFilter(options[detector.type], defaultMode, detector.type) }))
+      .filter((detector) => detector.filter);
+
+    this.profanity = readFilter(options.profanity, defaultMode, 'profanity');
+    this.wordLists = new Map();
+    if (this.profanity) {
+      const lists = {};
+      for (const source of [this.profanity.defaults !== false ? DEFAULT_PROFANITY : {}, this.profanity.words || {}]) {
+        for (const [language, words] of Object.entries(source)) {
+          lists[language.toLowerCase()] = (lists[language.toLowerCase()] || []).concat(words);
+        }
+      }
+      for (const [language, words] of Object.entries(lists)) {
+        this.wordLists.set(language, compileWordList(words));
+      }
+    }
+  }
+
+  /**
+   * Whether any filter is enabled
+   * @type {boolean}
+   */
+  get enabled() {
+    return this.detectors.length > 0 || this.profanity !== null;
+  }
+
+  /**
+   * Redacts a piece of text
+   * @param {string} text - The text
+   * @param {string} [language] - Its language code, which selects the profanity list. Without one, or for a
+   *   language without a list, only the `'*'` words are used.
+   * @returns {{text: string, redactions: Array<{type: string, replacement: string, text: (string|undefined)}>}}
+   *   The redacted text and what was redacted, in order of detection. `text` is only set with `includeText`.
+   */
+  redact(text, language) {
+    const redactions = [];
+    if (typeof text !== 'string' || text === '') {
+      return { text, redactions };
+    }
+    let result = text;
+
+    for (const detector of this.detectors) {
+      result = this._apply(result, detector.pattern, detector.validate, detector.filter.mode, detector.type,
+        detector.tag, redactions);
+    }
+
+    if (this.profanity) {
+      const code = language ? String(language).toLowerCase().split('-')[0] : null;
+      // Another language's list would flag ordinary words, such as French "con" in English
+      for (const key of code && code !== '*' ? ['*', code] : ['*']) {
+        const pattern = this.wordLists.get(key);
+        if (pattern) {
+          result = this._apply(result, pattern, () => true, this.profanity.mode, 'profanity', 'PROFANITY', redactions);
+        }
+      }
+    }
+
+    if (redactions.length > 0 && redactions.some((item) => item.replacement === '')) {
+      result = result.replace(/\s{2,}/g, ' ').replace(/\s+([.,!?;:])/g, '$1').trim();
+    }
+    return { text: result, redactions };
+  }
+
+  /**
+   * Replaces the validated matches of one filter
+   * @private
+   * @param {string} text - The text
+   * @param {RegExp} pattern - The global pattern
+   * @param {function(string, number, string): boolean} validate - Confirms a match, given its offset and the text
+   * @param {string} mode - A {@link RedactionMode}
+   * @param {string} type - The filter name reported in the audit
+   * @param {string} tag - The tag used by the `tag` mode
+   * @param {Object[]} redactions - Collects what was redacted
+   * @returns {string} The text with the matches replaced
+   */
+  _apply(text, pattern, validate, mode, type, tag, redactions) {
+    pattern.lastIndex = 0;
+    return text.replace(pattern, (match, ...rest) => {
+      // The offset and the whole text follow any capture groups
+      const offset = rest[rest.length - 2];
+      if (!validate(match, offset, text)) {
+        return match;
+      }
+      let replacement;
+      if (mode === RedactionMode.REMOVE) {
+        replacement = '';
+      } else if (mode === RedactionMode.TAG) {
+        replacement = `[${tag}]`;
+      } else if (type === 'profanity') {
+        replacement = match.charAt(0) + this.maskCharacter.repeat(Array.from(match).length - 1);
+      } else {
+        replacement = match.replace(/[\p{L}\p{N}]/gu, this.maskCharacter);
+      }
+      redactions.push(this.includeText ? { type, text: match, replacement } : { type, replacement });
+      return replacement;
+    });
+  }
+}
+
+module.exports = {
+  Redactor,
+  RedactionMode,
+};
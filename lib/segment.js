@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Normalized transcription segments
+ *
+ * The server's segment objects vary in shape: timestamps may be strings,
+ * word timing and confidence are only present when the model provides them.
+ * normalizeSegment() turns them into one documented shape with a stable `id`
+ * and, when the server sends no word timing, evenly estimated word timings.
+ */
+
+/**
+ * Converts a server timestamp (number or numeric string) to seconds
+ * @param {number|string} value - The timestamp
+ * @returns {number|null} The timestamp in seconds, or null if missing
+ */
+function toSeconds(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+/**
+ * Reads a confidence value in the range 0..1
+ * @private
+ * @param {Object} source - A segment or word from the server
+ * @returns {number|null}
+ */
+function readConfidence(source) {
+  const value = source.confidence !== undefined ? source.confidence : source.probability;
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.min(1, Math.max(0, value));
+  }
+  // Whisper reports the average log probability of the segment's tokens
+  if (typeof source.avg_logprob === 'number' && Number.isFinite(source.avg_logprob)) {
+    return Math.min(1, Math.exp(source.avg_logprob));
+  }
+  return null;
+}
+
+/**
+ * Spreads a segment's duration over its words in proportion to their length
+ * @param {string} text - The segment text
+ * @param {number|null} start - Segment start in seconds
+ * @param {number|null} end - Segment end in seconds
+ * @returns {Array<{text: string, start: number|null, end: number|null, confidence: null, estimated: boolean}>}
+ */
+function estimateWordTimings(text, start, end) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const timed = start !== null && end !== null && end >= start;
+  const total = words.reduce((sum, word) => sum + word.length, 0);
+  let cursor = start;
+
+  return words.map((word) => {
+    if (!timed) {
+      return { text: word, start: null, end: null, confidence: null, estimated: true };
+    }
+    const wordStart = cursor;
+    cursor += (end - start) * (word.length / total);
+    return { text: word, start: wordStart, end: cursor, confidence: null, estimated: true };
+  });
+}
+
+/**
+ * Brings a segment's words in line with its rewritten text. When the number of
+ * words is unchanged each word keeps its timing and takes the new text;
+ * otherwise the timings are estimated again.
+ * @param {Object[]} words - The words of the text before it was rewritten
+ * @param {string} text - The rewritten text
+ * @param {number|null} start - Segment start in seconds
+ * @param {number|null} end - Segment end in seconds
+ * @returns {Object[]} The words of the rewritten text
+ */
+function retextWords(words, text, start, end) {
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  return tokens.length === words.length
+    ? words.map((word, index) => (word.text === tokens[index] ? word : { ...word, text: tokens[index] }))
+    : estimateWordTimings(text, start, end);
+}
+
+/**
+ * Normalizes a segment received from the server. Unknown fields are kept.
+ * @param {Object} raw - The segment as received
+ * @param {Object} [defaults] - Values used when the segment does not carry them
+ * @param {string} [defaults.language] - The segment's language
+ * @param {boolean} [defaults.completed] - Whether the segment is finalized
+ * @param {string} [defaults.id] - The id used when the segment has neither an id nor a start time
+ * @returns {{id: string|null, start: number|null, end: number|null, text: string, language: string|null,
+ *   completed: boolean, confidence: number|null, words: Object[]}} The normalized segment
+ */
+function normalizeSegment(raw, defaults = {}) {
+  const start = toSeconds(raw.start);
+  const end = toSeconds(raw.end);
+  const text = typeof raw.text === 'string' ? raw.text : '';
+
+  let words;
+  if (Array.isArray(raw.words) && raw.words.length > 0) {
+    words = raw.words.map((word) => ({
+      text: String(word.word !== undefined ? word.word : word.text || '').trim(),
+      start: toSeconds(word.start),
+      end: toSeconds(word.end),
+      confidence: readConfidence(word),
+      estimated: false
+    }));
+  } else {
+    words = estimateWordTimings(text, start, end);
+  }
+
+  let confidence = readConfidence(raw);
+  const scored = words.filter((word) => word.confidence !== null);
+  if (confidence === null && scored.length > 0) {
+    confidence = scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length;
+  }
+
+  let id = raw.id !== undefined && raw.id !== null ? String(raw.id) : null;
+  if (id === null) {
+    // Interim and finalized versions of an utterance share its start time
+    id = start !== null ? `seg-${Math.round(start * 1000)}` : defaults.id || null;
+  }
+
+  return {
+    ...raw,
+    id,
+    start,
+    end,
+    text,
+    language: raw.language || raw.target_language || defaults.language || null,
+    completed: raw.completed !== undefined ? Boolean(raw.completed) : Boolean(defaults.completed),
+    confidence,
+    words
+  };
+}
+
+module.exports = {
+  normalizeSegment,
+  estimateWordTimings,
+  toSeconds,
+  retextWords,
+};
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Client-side text post-processing
+ *
+ * Corrects transcription and translation text before it reaches the
+ * application: find/replace rules fix recurring misrecognitions, and a
+ * per-language glossary enforces consistent terminology while keeping the
+ * capitalization of the text it replaces. Rules and glossary can be loaded
+ * from a JSON file that is reloaded when it changes.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { MaestraError } = require('./errors');
+const { retextWords } = require('./segment');
+
+/**
+ * Glossary key whose terms apply to every language
+ * @private
+ */
+const ALL_LANGUAGES = '*';
+
+/**
+ * Escapes text for literal use in a regular expression
+ * @private
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wraps a pattern so it only matches whole words
+ * @private
+ * @param {string} source - The pattern
+ * @returns {string}
+ */
+function wholeWord(source) {
+  return `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+}
+
+/**
+ * Adapts a replacement to the capitalization of the text it replaces:
+ * all-caps text gets an all-caps replacement and capitalized text a
+ * capitalized one. Otherwise the replacement is used as written.
+ * @private
+ * @param {string} replacement - The preferred form
+ * @param {string} original - The matched text
+ * @returns {string}
+ */
+function matchCase(replacement, original) {
+  if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  const first = original.charAt(0);
+  if (first !== first.toLowerCase() && replacement.charAt(0) === replacement.charAt(0).toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Normalizes a rule's language restriction
+ * @private
+ * @param {string|string[]} [languages] - Language codes
+ * @returns {string[]|null} The languages, or null for all
+ */
+function toLanguageList(languages) {
+  if (languages === undefined || languages === null || languages === ALL_LANGUAGES) {
+    return null;
+  }
+  return (Array.isArray(languages) ? languages : [languages]).map((language) => String(language).toLowerCase());
+}
+
+/**
+ * Compiles a replacement rule
+ * @private
+ * @param {Object} rule - The rule as configured
+ * @param {number} index - Position in the rule list, for error messages
+ * @returns {{pattern: RegExp, replace: string, languages: string[]|null}}
+ */
+function compileRule(rule, index) {
+  if (!rule || (typeof rule.find !== 'string' && !(rule.find instanceof RegExp)) || rule.find === '') {
+    throw new MaestraError(`Post-processing rule ${index} needs a "find" string or RegExp.`, { code: 'INVALID_CONFIG' });
+  }
+  const replace = rule.replace !== undefined ? String(rule.replace) : '';
+  const languages = toLanguageList(rule.languages !== undefined ? rule.languages : rule.language);
+
+  if (rule.find instanceof RegExp) {
+    const flags = rule.find.flags.includes('g') ? rule.find.flags : `${rule.find.flags}g`;
+    return { pattern: new RegExp(rule.find.source, flags), replace, languages };
+  }
+
+  const caseSensitive = rule.caseSensitive !== undefined ? rule.caseSensitive : false;
+  const isRegex = rule.regex !== undefined ? rule.regex : false;
+  const useWholeWord = rule.wholeWord !== undefined ? rule.wholeWord : !isRegex;
+  let source = isRegex ? rule.find : escapeRegExp(rule.find);
+  if (useWholeWord) {
+    source = wholeWord(source);
+  }
+  try {
+    return { pattern: new RegExp(source, caseSensitive ? 'gu' : 'giu'), replace, languages };
+  } catch (err) {
+    throw new MaestraError(`Post-processing rule ${index} has an invalid pattern: ${err.message}`, {
+      code: 'INVALID_CONFIG',
+      cause: err
+    });
+  }
+}
+
+/**
+ * Compiles a glossary into one case-insensitive whole-word pattern per
+ * language, longest terms first so they win over terms they contain
+ * @private
+ * @param {Object<string, Object<string, string>>} glossary - Terms by language
+ * @returns {Map<string, {pattern: RegExp, terms: Map<string, string>}>}
+ */
+function compileGlossary(glossary) {
+  const compiled = new Map();
+  for (const [language, entries] of Object.entries(glossary)) {
+    const terms = new Map();
+    for (const [term, preferred] of Object.entries(entries)) {
+      if (term.trim() !== '') {
+        terms.set(term.toLowerCase(), String(preferred));
+      }
+    }
+    if (terms.size === 0) {
+      continue;
+    }
+    const alternatives = Array.from(terms.keys())
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp);
+    compiled.set(language.toLowerCase(), { pattern: new RegExp(wholeWord(alternatives.join('|')), 'giu'), terms });
+  }
+  return compiled;
+}
+
+/**
+ * Applies find/replace rules and a per-language glossary to segment text
+ * @extends EventEmitter
+ */
+class TextProcessor extends EventEmitter {
+  /**
+   * @param {Object} [options] - Post-processing settings
+   * @param {Object[]} [options.rules] - Replacement rules, applied in order:
+   *   `{ find, replace, regex, wholeWord, caseSensitive, languages }`. `find` is matched as a whole word and
+   *   case-insensitively by default; with `regex: true` (or a RegExp) it is a regular expression and `replace`
+   *   may use `$1`-style references. `languages` restricts the rule to some language codes.
+   * @param {Object<string, Object<string, string>>} [options.glossary] - Preferred terms by language code, e.g.
+   *   `{ '*': { maestra: 'Maestra' }, fr: { 'sous titres': 'sous-titres' } }`. Terms match whole words in any
+   *   case and are replaced with the preferred form, capitalized or upper-cased like the text they replace.
+   * @param {string} [options.file] - JSON file with `{ rules, glossary }`, applied after the inline settings
+   * @param {boolean} [options.watch=true] - Reload `file` when it changes
+   * @param {number} [options.watchInterval=1000] - How often `file` is checked for changes, in milliseconds
+   */
+  constructor(options = {}) {
+    super();
+    this.inline = {
+      rules: options.rules || [],
+      glossary: options.glossary || {}
+    };
+    this.file = options.file || null;
+    this.watchInterval = options.watchInterval !== undefined ? options.watchInterval : 1000;
+    this.watching = false;
+    this.onFileChange = null;
+
+    this._compile(this.file ? this._readFile() : {});
+    if (this.file && (options.watch !== undefined ? options.watch : true)) {
+      this._watch();
+    }
+  }
+
+  /**
+   * Corrects a piece of text
+   * @param {string} text - The text
+   * @param {string} [language] - Its language code; rules and glossary entries for other languages are skipped
+   * @returns {string} The corrected text
+   */
+  process(text, language) {
+    if (typeof text !== 'string' || text === '') {
+      return text;
+    }
+    const code = language ? String(language).toLowerCase() : null;
+    let result = text;
+
+    for (const rule of this.rules) {
+      if (rule.languages && !(code && rule.languages.includes(code))) {
+        continue;
+      }
+      rule.pattern.lastIndex = 0;
+      result = result.replace(rule.pattern, rule.replace);
+    }
+
+    for (const key of code && code !== ALL_LANGUAGES ? [ALL_LANGUAGES, code] : [ALL_LANGUAGES]) {
+      const entry = this.glossary.get(key);
+      if (entry) {
+        result = result.replace(entry.pattern, (match) => matchCase(entry.terms.get(match.toLowerCase()), match));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Corrects a segment's text, keeping the text as received in `originalText`
+   * @param {Object} segment - A normalized segment
+   * @param {string} [language] - Language used when the segment has none
+   * @returns {Object} A copy of the segment with the corrected `text` and matching `words`
+   */
+  processSegment(segment, language) {
+    if (!segment || typeof segment !== 'object') {
+      return segment;
+    }
+    const originalText = segment.originalText !== undefined ? segment.originalText : segment.text;
+    const text = this.process(originalText, segment.language || language);
+    const processed = { ...segment, text, originalText };
+    // Corrections can merge or split words, which would leave `words` out of step with the text
+    if (Array.isArray(segment.words) && text !== segment.text) {
+      processed.words = retextWords(segment.words, text, segment.start, segment.end);
+    }
+    return processed;
+  }
+
+  /**
+   * Re-reads `file` and applies it. On failure the previous settings stay in
+   * effect and `error` is emitted.
+   * @returns {boolean} True if the file was applied
+   */
+  reload() {
+    if (!this.file) {
+      return false;
+    }
+    try {
+      this._compile(this._readFile());
+    } catch (err) {
+      this.emit('error', err);
+      return false;
+    }
+    this.emit('reload', {
+      file: this.file,
+      rules: this.rules.length,
+      glossaryTerms: Array.from(this.glossary.values()).reduce((sum, entry) => sum + entry.terms.size, 0)
+    });
+    return true;
+  }
+
+  /**
+   * Stops watching `file`
+   */
+  close() {
+    if (this.watching) {
+      fs.unwatchFile(this.file, this.onFileChange);
+      this.watching = false;
+      this.onFileChange = null;
+    }
+  }
+
+  /**
+   * Reads and parses `file`
+   * @private
+   * @returns {{rules?: Object[], glossary?: Object}}
+   */
+  _readFile() {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      throw new MaestraError(`Could not load post-processing file "${this.file}": ${err.message}`, {
+        code: 'INVALID_CONFIG',
+        cause: err
+      });
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new MaestraError(`Post-processing file "${this.file}" must contain an object with "rules" and/or "glossary".`, {
+        code: 'INVALID_CONFIG'
+      });
+    }
+    return config;
+  }
+
+  /**
+   * Compiles the inline settings followed by those from the file. Nothing is
+   * replaced unless everything compiles.
+   * @private
+   * @param {{rules?: Object[], glossary?: Object}} fileConfig - Settings read from `file`
+   */
+  _compile(fileConfig) {
+    const ruleList = this.inline.rules.concat(Array.isArray(fileConfig.rules) ? fileConfig.rules : []);
+    const rules = ruleList.map(compileRule);
+
+    // File entries override inline entries for the same term
+    const glossary = {};
+    for (const source of [this.inline.glossary, fileConfig.glossary || {}]) {
+      for (const [language, entries] of Object.entries(source)) {
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+          throw new MaestraError(`Glossary for "${language}" must map terms to their preferred form.`, { code: 'INVALID_CONFIG' });
+        }
+        glossary[language] = { ...glossary[language], ...entries };
+      }
+    }
+
+    this.glossary = compileGlossary(glossary);
+    this.rules = rules;
+  }
+
+  /**
+   * Polls `file` for changes without keeping the process alive
+   * @private
+   */
+  _watch() {
+    this.onFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+        this.reload();
+      }
+    };
+    fs.watchFile(this.file, { persistent: false, interval: this.watchInterval }, this.onFileChange);
+    this.watching = true;
+  }
+}
+
+module.exports = TextProcessor;
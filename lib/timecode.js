@@ -0,0 +1,126 @@
+/**
+ * @fileoverview SMPTE timecode conversion
+ *
+ * Converts between seconds and `HH:MM:SS:FF` timecode at the common video
+ * frame rates, including drop-frame timecode (`HH:MM:SS;FF`) for 29.97 and
+ * 59.94 fps.
+ */
+
+const { MaestraError } = require('./errors');
+
+/**
+ * NTSC rates given with rounded values, mapped to their exact rate
+ * @private
+ */
+const NTSC_RATES = {
+  23.976: 24000 / 1001,
+  23.98: 24000 / 1001,
+  29.97: 30000 / 1001,
+  59.94: 60000 / 1001,
+};
+
+const SECONDS_PER_DAY = 24 * 3600;
+
+/**
+ * Describes a frame rate
+ * @private
+ * @param {number} frameRate - Frames per second, e.g. 25 or 29.97
+ * @param {boolean} [dropFrame] - Use drop-frame counting; defaults to true for 29.97 and 59.94
+ * @returns {{rate: number, nominal: number, drop: number}} The exact rate, the frames counted per
+ *   timecode second and the frame numbers dropped each minute
+ */
+function describeRate(frameRate, dropFrame) {
+  const rate = NTSC_RATES[frameRate] || frameRate;
+  if (!(rate > 0)) {
+    throw new MaestraError(`Invalid frame rate "${frameRate}".`, { code: 'INVALID_CONFIG' });
+  }
+  const nominal = Math.round(rate);
+  const isNtsc = nominal !== rate;
+  const useDrop = dropFrame !== undefined ? dropFrame : isNtsc && nominal % 30 === 0;
+  if (useDrop && (!isNtsc || nominal % 30 !== 0)) {
+    throw new MaestraError(`Drop-frame timecode requires 29.97 or 59.94 fps, not ${frameRate}.`, { code: 'INVALID_CONFIG' });
+  }
+  return { rate, nominal, drop: useDrop ? nominal / 15 : 0 };
+}
+
+/**
+ * Formats a frame count as timecode
+ * @private
+ * @param {number} frames - Frames since 00:00:00:00
+ * @param {{nominal: number, drop: number}} info - From describeRate()
+ * @returns {string}
+ */
+function framesToTimecode(frames, info) {
+  const { nominal, drop } = info;
+  let count = frames;
+  if (drop > 0) {
+    // Skip the dropped frame numbers at the start of every minute except each tenth
+    const perTenMinutes = nominal * 600 - drop * 9;
+    const perMinute = nominal * 60 - drop;
+    const tens = Math.floor(count / perTenMinutes);
+    const remainder = count % perTenMinutes;
+    count += drop * 9 * tens + (remainder > drop ? drop * Math.floor((remainder - drop) / perMinute) : 0);
+  }
+  const pad = (value) => String(value).padStart(2, '0');
+  const ff = count % nominal;
+  const ss = Math.floor(count / nominal) % 60;
+  const mm = Math.floor(count / (nominal * 60)) % 60;
+  const hh = Math.floor(count / (nominal * 3600)) % 24;
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${drop > 0 ? ';' : ':'}${pad(ff)}`;
+}
+
+/**
+ * Parses a timecode into a frame count
+ * @param {string} timecode - `HH:MM:SS:FF` or `HH:MM:SS;FF`
+ * @param {number} frameRate - Frames per second
+ * @param {boolean} [dropFrame] - Drop-frame counting; defaults to true for 29.97 and 59.94
+ * @returns {number} Frames since 00:00:00:00
+ */
+function timecodeToFrames(timecode, frameRate, dropFrame) {
+  const info = describeRate(frameRate, dropFrame);
+  const match = /^(\d{1,2})[:;.](\d{2})[:;.](\d{2})[:;.,](\d{2})$/.exec(String(timecode).trim());
+  if (!match) {
+    throw new MaestraError(`Invalid timecode "${timecode}". Use HH:MM:SS:FF.`, { code: 'INVALID_CONFIG' });
+  }
+  const [hh, mm, ss, ff] = match.slice(1).map(Number);
+  if (mm > 59 || ss > 59 || ff >= info.nominal) {
+    throw new MaestraError(`Invalid timecode "${timecode}" at ${frameRate} fps.`, { code: 'INVALID_CONFIG' });
+  }
+  const totalMinutes = hh * 60 + mm;
+  return (hh * 3600 + mm * 60 + ss) * info.nominal + ff -
+    info.drop * (totalMinutes - Math.floor(totalMinutes / 10));
+}
+
+/**
+ * Formats seconds as SMPTE timecode
+ * @param {number} seconds - Time in seconds
+ * @param {Object} [options] - Timecode settings
+ * @param {number} [options.frameRate=30] - Frames per second, e.g. 24, 25, 29.97, 30, 50, 59.94
+ * @param {boolean} [options.dropFrame] - Drop-frame counting; defaults to true for 29.97 and 59.94
+ * @param {string} [options.start='00:00:00:00'] - Timecode of second 0
+ * @returns {string} The timecode, wrapping at 24 hours
+ */
+function formatTimecode(seconds, options = {}) {
+  const frameRate = options.frameRate !== undefined ? options.frameRate : 30;
+  const info = describeRate(frameRate, options.dropFrame);
+  const offset = options.start ? timecodeToFrames(options.start, frameRate, options.dropFrame) : 0;
+  const framesPerDay = info.nominal * SECONDS_PER_DAY - info.drop * (24 * 60 - 24 * 6);
+  const frames = (Math.round(Math.max(0, seconds) * info.rate) + offset) % framesPerDay;
+  return framesToTimecode(frames, info);
+}
+
+/**
+ * Seconds since local midnight of an epoch time, for time-of-day timecode
+ * @param {number} epochMs - Milliseconds since the Unix epoch
+ * @returns {number}
+ */
+function secondsOfDay(epochMs) {
+  const date = new Date(epochMs);
+  return date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds() + date.getMilliseconds() / 1000;
+}
+
+module.exports = {
+  formatTimecode,
+  timecodeToFrames,
+  secondsOfDay,
+};
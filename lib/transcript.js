@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Live transcript maintained by MaestraClient
+ *
+ * Keeps the segments of a transcription in time order. Interim segments are
+ * replaced in place when the server finalizes them, translations are paired
+ * with the source segment they translate, and an optional retention cap
+ * discards the oldest finalized segments so long-running sessions do not grow
+ * without limit.
+ */
+
+const { toSeconds } = require('./segment');
+
+/**
+ * How far apart, in seconds, a translation and a source segment may start
+ * and still be treated as the same utterance when their ranges do not overlap
+ * @private
+ */
+const START_TOLERANCE = 0.05;
+
+/**
+ * Most finalized translations held while waiting for their source segment
+ * @private
+ */
+const MAX_PENDING_TRANSLATIONS = 100;
+
+/**
+ * Copies a server segment with numeric timing
+ * @private
+ * @param {Object} segment - The segment as received
+ * @param {boolean} completed - Whether the segment is finalized
+ * @returns {Object} The normalized segment
+ */
+function normalize(segment, completed) {
+  return {
+    ...segment,
+    start: toSeconds(segment.start),
+    end: toSeconds(segment.end),
+    text: segment.text || '',
+    completed
+  };
+}
+
+/**
+ * Whether two segments describe the same stretch of audio
+ * @private
+ * @param {Object} a - A normalized segment
+ * @param {Object} b - A normalized segment
+ * @returns {boolean}
+ */
+function sameUtterance(a, b) {
+  if (a.id !== undefined && a.id !== null && a.id === b.id) {
+    return true;
+  }
+  if (a.start === null || b.start === null) {
+    return false;
+  }
+  if (Math.abs(a.start - b.start) <= START_TOLERANCE) {
+    return true;
+  }
+  const aEnd = a.end !== null ? a.end : a.start;
+  const bEnd = b.end !== null ? b.end : b.start;
+  return a.start < bEnd && b.start < aEnd;
+}
+
+/**
+ * Ordered collection of transcript segments and their translations
+ */
+class Transcript {
+  /**
+   * @param {Object} [options] - Retention settings
+   * @param {number} [options.maxSegments=0] - Keep at most this many finalized segments (0 keeps all)
+   * @param {number} [options.maxDuration=0] - Keep only finalized segments that end within this many seconds
+   *   of the latest one (0 keeps all)
+   */
+  constructor(options = {}) {
+    this.maxSegments = options.maxSegments !== undefined ? options.maxSegments : 0;
+    this.maxDuration = options.maxDuration !== undefined ? options.maxDuration : 0;
+    this.segments = [];
+    this.pendingTranslations = [];
+    this.droppedSegments = 0;
+  }
+
+  /**
+   * Replaces the current interim segments with the latest ones from the server
+   * @param {Object[]} segments - Interim segments
+   */
+  updateInterim(segments) {
+    const previous = this.segments.filter((segment) => !segment.completed);
+    this.segments = this.segments.filter((segment) => segment.completed);
+
+    for (const segment of segments) {
+      const entry = normalize(segment, false);
+      // Keep translations already paired with the interim segment this one replaces
+      const earlier = previous.find((candidate) => sameUtterance(candidate, entry));
+      entry.translations = earlier ? earlier.translations : {};
+      this._insert(entry);
+    }
+  }
+
+  /**
+   * Adds a finalized segment, replacing the interim segment it finalizes
+   * @param {Object} segment - The finalized segment
+   * @returns {Object} The stored segment
+   */
+  addFinal(segment) {
+    const entry = normalize(segment, true);
+    const index = this.segments.findIndex((candidate) => !candidate.completed && sameUtterance(candidate, entry));
+
+    if (index !== -1) {
+      entry.translations = this.segments[index].translations;
+      this.segments[index] = entry;
+      // Any other interim text covered by this segment is superseded as well
+      this.segments = this.segments.filter((candidate) =>
+        candidate === entry || candidate.completed || !sameUtterance(candidate, entry));
+    } else {
+      entry.translations = {};
+      this._insert(entry);
+    }
+    this._enforceRetention();
+    return entry;
+  }
+
+  /**
+   * Pairs a translated segment with its source segment
+   * @param {Object} segment - The translated segment
+   * @param {string} language - The target language
+   * @param {boolean} completed - Whether the translation is finalized
+   */
+  addTranslation(segment, language, completed) {
+    const translation = { ...normalize(segment, completed), language };
+    const source = this._findSource(translation);
+
+    if (source) {
+      const current = source.translations[language];
+      // An interim translation must not overwrite a finalized one
+      if (!current || completed || !current.completed) {
+        source.translations[language] = translation;
+      }
+      return;
+    }
+    if (completed) {
+      this.pendingTranslations.push(translation);
+      if (this.pendingTranslations.length > MAX_PENDING_TRANSLATIONS) {
+        this.pendingTranslations.shift();
+      }
+    }
+  }
+
+  /**
+   * Returns the segments overlapping a time range
+   * @param {Object} [range] - The range to query
+   * @param {number} [range.from] - Start of the range in seconds
+   * @param {number} [range.to] - End of the range in seconds
+   * @param {boolean} [range.completed] - Only finalized (true) or only interim (false) segments
+   * @returns {Object[]} Matching segments in time order
+   */
+  getSegments(range = {}) {
+    return this.segments.filter((segment) => {
+      if (range.completed !== undefined && segment.completed !== range.completed) {
+        return false;
+      }
+      const end = segment.end !== null ? segment.end : segment.start;
+      if (range.from !== undefined && end !== null && end < range.from) {
+        return false;
+      }
+      if (range.to !== undefined && segment.start !== null && segment.start > range.to) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Returns the translations into one language, in source order
+   * @param {string} language - The target language
+   * @param {Object} [range] - Same as for {@link Transcript#getSegments}
+   * @returns {Object[]} The translated segments
+   */
+  getTranslations(language, range = {}) {
+    // A finalized translation may belong to a source segment that is still interim
+    return this.getSegments({ ...range, completed: undefined })
+      .map((segment) => segment.translations[language])
+      .filter((translation) => translation && (range.completed === undefined || translation.completed === range.completed));
+  }
+
+  /**
+   * Lists the languages that have translations
+   * @returns {string[]}
+   */
+  getLanguages() {
+    const languages = new Set();
+    for (const segment of this.segments) {
+      Object.keys(segment.translations).forEach((language) => languages.add(language));
+    }
+    return Array.from(languages);
+  }
+
+  /**
+   * Joins the finalized text of the source or of one translation
+   * @param {string} [language] - A target language, or omitted for the source
+   * @returns {string}
+   */
+  getText(language) {
+    const segments = language
+      ? this.getTranslations(language, { completed: true })
+      : this.getSegments({ completed: true });
+    return segments
+      .map((segment) => segment.text.trim())
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Discards all segments
+   */
+  clear() {
+    this.segments = [];
+    this.pendingTranslations = [];
+    this.droppedSegments = 0;
+  }
+
+  /**
+   * Plain-object snapshot of the transcript
+   * @returns {{segments: Object[], droppedSegments: number}}
+   */
+  toJSON() {
+    return {
+      segments: this.segments.map((segment) => ({ ...segment, translations: { ...segment.translations } })),
+      droppedSegments: this.droppedSegments
+    };
+  }
+
+  /**
+   * Inserts a segment in start-time order and attaches waiting translations
+   * @private
+   * @param {Object} entry - The normalized segment
+   */
+  _insert(entry) {
+    let index = this.segments.length;
+    if (entry.start !== null) {
+      while (index > 0 && this.segments[index - 1].start !== null && this.segments[index - 1].start > entry.start) {
+        index--;
+      }
+    }
+    this.segments.splice(index, 0, entry);
+
+    this.pendingTranslations = this.pendingTranslations.filter((translation) => {
+      if (!sameUtterance(entry, translation)) {
+        return true;
+      }
+      entry.translations[translation.language] = translation;
+      return false;
+    });
+  }
+
+  /**
+   * Finds the source segment a translation belongs to, preferring finalized segments
+   * @private
+   * @param {Object} translation - The normalized translation
+   * @returns {Object|undefined}
+   */
+  _findSource(translation) {
+    return this.segments.find((segment) => segment.completed && sameUtterance(segment, translation)) ||
+      this.segments.find((segment) => !segment.completed && sameUtterance(segment, translation));
+  }
+
+  /**
+   * Drops the oldest finalized segments beyond the retention cap
+   * @private
+   */
+  _enforceRetention() {
+    const finalized = this.segments.filter((segment) => segment.completed);
+    let excess = this.maxSegments > 0 ? Math.max(0, finalized.length - this.maxSegments) : 0;
+
+    if (this.maxDuration > 0 && finalized.length > 0) {
+      const latest = finalized.reduce((max, segment) => Math.max(max, segment.end !== null ? segment.end : -Infinity), -Infinity);
+      const cutoff = latest - this.maxDuration;
+      const expired = finalized.findIndex((segment) => segment.end === null || segment.end >= cutoff);
+      excess = Math.max(excess, expired === -1 ? finalized.length : expired);
+    }
+    if (excess === 0) {
+      return;
+    }
+
+    const dropped = new Set(finalized.slice(0, excess));
+    this.segments = this.segments.filter((segment) => !dropped.has(segment));
+    this.droppedSegments += excess;
+
+    // Translations for audio that is no longer kept will never find a source
+    const oldest = this.segments.find((segment) => segment.start !== null);
+    if (oldest) {
+      this.pendingTranslations = this.pendingTranslations.filter((translation) =>
+        translation.end === null || translation.end >= oldest.start);
+    }
+  }
+}
+
+module.exports = Transcript;
@@ -10,8 +10,21 @@
  */
 
 const WebSocket = require('ws');
+const tls = require('tls');
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
+const AudioRingBuffer = require('./audio-ring-buffer');
+const { normalizeSegment } = require('./segment');
+const { getProxyForUrl, createProxyAgent } = require('./proxy');
+const {
+  MaestraError,
+  AuthenticationError,
+  ServerBusyError,
+  ConnectionTimeoutError,
+  ConnectionError,
+  ProtocolError,
+  StateError
+} = require('./errors');
 
 /**
  * WebSocket client for real-time transcription communication
@@ -27,6 +40,7 @@ class WebSocketClient extends EventEmitter {
    * @param {string} [options.sourceLanguage] - Source language code
    * @param {string} [options.language] - Legacy: Source language code (use sourceLanguage instead)
    * @param {string} [options.targetLanguage] - Target language for translation
+   * @param {string[]} [options.targetLanguages] - Several target languages for a single session (requires server support)
    * @param {string} [options.apiKey] - API key for authentication
    * @param {boolean} [options.saveToDashboard] - Save transcription after session
    * @param {boolean} [options.useVad=true] - Use voice activity detection
@@ -34,6 +48,46 @@ class WebSocketClient extends EventEmitter {
    * @param {boolean} [options.autoVoiceCloning=false] - Enable automatic voice cloning
    * @param {string} [options.uuid] - Custom UUID for the client
    * @param {number} [options.connectionTimeout=10000] - Timeout for server response in milliseconds
+   * @param {boolean|Object} [options.reconnect=false] - Reconnect automatically when an established session drops.
+   *   Pass `true` for the defaults or an object to tune the policy.
+   * @param {number} [options.reconnect.maxAttempts=10] - Attempts before giving up (0 retries forever)
+   * @param {number} [options.reconnect.initialDelay=1000] - Delay before the first attempt in milliseconds
+   * @param {number} [options.reconnect.maxDelay=30000] - Upper bound for the backoff delay in milliseconds
+   * @param {number} [options.reconnect.factor=2] - Multiplier applied to the delay after each attempt
+   * @param {number} [options.reconnect.jitter=0.3] - Random spread applied to each delay (0..1)
+   * @param {number} [options.audioBufferSeconds=0] - Seconds of 16 kHz audio to hold while the server is not
+   *   ready (e.g. during a reconnect) and replay once it is. 0 disables buffering.
+   * @param {Object} [options.backpressure] - Watch the socket's outgoing buffer and apply a policy once it grows
+   *   past `highWaterMark`. Disabled when omitted.
+   * @param {string} [options.backpressure.policy='drop-oldest'] - 'block' queues audio and asks the processor to
+   *   pause, 'drop-oldest' queues audio and discards the oldest when the queue is full, 'skip-silence' drops
+   *   silent frames and sends the rest
+   * @param {number} [options.backpressure.highWaterMark=262144] - Buffered bytes at which the link is congested
+   * @param {number} [options.backpressure.lowWaterMark] - Buffered bytes at which congestion clears
+   *   (defaults to half of `highWaterMark`)
+   * @param {number} [options.backpressure.maxQueueSeconds=5] - Queue size used when `audioBufferSeconds` is not set
+   * @param {number} [options.backpressure.silenceThreshold=0.01] - RMS level below which a frame counts as silent
+   * @param {number} [options.backpressure.congestionInterval=1000] - How often `congestion` is re-emitted while
+   *   the link stays congested, in milliseconds
+   * @param {number} [options.configUpdateTimeout=5000] - How long updateConfig() waits for the server to
+   *   acknowledge an in-band change before falling back to a reconnect, in milliseconds
+   * @param {string|boolean} [options.proxy] - HTTP, HTTPS or SOCKS proxy URL. Defaults to HTTPS_PROXY / HTTP_PROXY /
+   *   ALL_PROXY from the environment (honouring NO_PROXY); `false` always connects directly.
+   * @param {import('http').Agent} [options.agent] - Custom agent for the connection; takes precedence over `proxy`
+   * @param {string|Buffer|Array<string|Buffer>} [options.ca] - Extra PEM CA certificates, trusted in addition to
+   *   Node's built-in roots
+   * @param {string|Buffer} [options.cert] - PEM client certificate
+   * @param {string|Buffer} [options.key] - PEM private key for the client certificate
+   * @param {string} [options.passphrase] - Passphrase for `key`
+   * @param {string|Buffer} [options.pfx] - PFX/PKCS12 client certificate bundle, instead of `cert` and `key`
+   * @param {boolean} [options.rejectUnauthorized=true] - Verify the server certificate
+   * @param {Object} [options.headers] - Extra HTTP headers sent with the WebSocket handshake
+   * @param {boolean|Object} [options.heartbeat=false] - Detect dead connections. Pass `true` for the defaults
+   *   or an object to tune them. A stale connection is terminated, which hands off to the reconnect logic.
+   * @param {number} [options.heartbeat.interval=15000] - How often to send a ping, in milliseconds
+   * @param {number} [options.heartbeat.timeout=10000] - How long to wait for the pong, in milliseconds
+   * @param {number} [options.heartbeat.staleAfter=60000] - Declare the connection stale when audio is being sent
+   *   but no server message has arrived for this long, in milliseconds (0 disables the watchdog)
    */
   constructor(host, port, options = {}) {
     super();
@@ -46,6 +100,7 @@ class WebSocketClient extends EventEmitter {
     this.apiKey = options.apiKey;
     this.saveToDashboard = options.saveToDashboard;
     this.targetLanguage = options.targetLanguage;
+    this.targetLanguages = options.targetLanguages;
     this.voiceId = options.voiceId;
     this.autoVoiceCloning = options.autoVoiceCloning !== undefined ? options.autoVoiceCloning : false;
     this.useVad = options.useVad !== undefined ? options.useVad : true;
@@ -53,6 +108,51 @@ class WebSocketClient extends EventEmitter {
     this.isServerReady = false;
     this.connectionTimeout = options.connectionTimeout || 10000; // 10 seconds default
     this.connectionTimer = null;
+
+    this.reconnectOptions = this._normalizeReconnectOptions(options.reconnect);
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.isReconnecting = false;
+    this.hasBeenReady = false;
+    this.isClosing = false;
+    this.pendingConnect = null;
+    this.configUpdateTimeout = options.configUpdateTimeout || 5000;
+
+    this.proxy = options.proxy;
+    this.agent = options.agent || null;
+    this.headers = options.headers || null;
+    this.heartbeat = this._normalizeHeartbeatOptions(options.heartbeat);
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+    this.watchdogTimer = null;
+    this.lastMessageAt = 0;
+    this.lastAudioSentAt = 0;
+    this.disconnectReason = null;
+
+    // Numbers the utterances of segments that carry neither an id nor timing
+    this.utteranceIndex = { source: 0, translation: 0 };
+
+    this.tlsOptions = {
+      ca: options.ca,
+      cert: options.cert,
+      key: options.key,
+      passphrase: options.passphrase,
+      pfx: options.pfx,
+      rejectUnauthorized: options.rejectUnauthorized
+    };
+    this.pendingConfigUpdate = null;
+
+    this.backpressure = this._normalizeBackpressureOptions(options.backpressure);
+    this.isCongested = false;
+    this.congestionTimer = null;
+    this.lastCongestionEventAt = 0;
+
+    // Queueing backpressure policies share the replay buffer
+    let audioBufferSeconds = options.audioBufferSeconds;
+    if (!(audioBufferSeconds > 0) && this.backpressure && this.backpressure.policy !== 'skip-silence') {
+      audioBufferSeconds = this.backpressure.maxQueueSeconds;
+    }
+    this.audioBuffer = audioBufferSeconds > 0 ? new AudioRingBuffer(audioBufferSeconds) : null;
     
     // Callbacks for compatibility with existing code
     this.callbacks = {
@@ -65,7 +165,8 @@ class WebSocketClient extends EventEmitter {
   }
 
   get translationEnabled(){
-    return this.targetLanguage !== null && this.targetLanguage !== undefined;
+    return (this.targetLanguage !== null && this.targetLanguage !== undefined) ||
+      (Array.isArray(this.targetLanguages) && this.targetLanguages.length > 0);
   }
 
   get voiceOverEnabled(){
@@ -85,15 +186,18 @@ class WebSocketClient extends EventEmitter {
       return;
     }
 
+    this.lastMessageAt = Date.now();
+
     // Handle JSON messages
     try {
       const data = JSON.parse(event.data);
 
       // Handle server status messages
       if (data.status === "WAIT") {
-        const error = new Error(data.message);
+        const error = new ServerBusyError(`Connection failed: Server is busy (${data.message}).`, { cause: data });
         this.callbacks.onError(error);
         this.emit('error', error);
+        this._settleConnect(error);
         return;
       }
 
@@ -110,13 +214,20 @@ class WebSocketClient extends EventEmitter {
         
         // Check for authentication-related errors
         if (this._isAuthenticationError(errorMessage, data)) {
-          error = new Error(`Connection failed: Authentication error. Please check your API key and ensure it is valid and has the necessary permissions.`);
+          error = new AuthenticationError(`Connection failed: Authentication error. Please check your API key and ensure it is valid and has the necessary permissions.`, { cause: data });
         } else {
-          error = new Error(`Connection failed: ${errorMessage}`);
+          error = new ProtocolError(`Connection failed: ${errorMessage}`, { cause: data });
         }
         
         this.callbacks.onError(error);
         this.emit('error', error);
+        this._settleConnect(error);
+
+        // Stop resuming the session when retrying cannot succeed
+        if (this.isReconnecting && !error.retryable) {
+          this._abandonReconnect(error);
+          this.close();
+        }
         return;
       }
 
@@ -130,8 +241,38 @@ class WebSocketClient extends EventEmitter {
           this.connectionTimer = null;
         }
         
+        // A resumed session reports itself through 'reconnected' only, so
+        // listeners that start streaming on 'ready' are not triggered twice.
+        if (this.isReconnecting) {
+          const attempts = this.reconnectAttempts;
+          this.isReconnecting = false;
+          this.reconnectAttempts = 0;
+          this._flushAudioBuffer();
+          this._startHeartbeat();
+          this.emit('reconnected', { attempts });
+          // The new handshake carried the settings of an update that was still awaiting its acknowledgement
+          this._finishConfigUpdate('reconnect');
+          return;
+        }
+
+        this.hasBeenReady = true;
+        this._flushAudioBuffer();
+        this._startHeartbeat();
         this.callbacks.onReady();
         this.emit('ready');
+        this._settleConnect();
+        return;
+      }
+
+      // Handle configuration update acknowledgements. Once the update falls back to a
+      // reconnect, late replies from the previous socket are ignored.
+      const awaitingReply = this.pendingConfigUpdate && !this.pendingConfigUpdate.fallingBack;
+      if (awaitingReply && data.message === "CONFIG_UPDATED") {
+        this._finishConfigUpdate('in-band');
+        return;
+      }
+      if (awaitingReply && data.message === "CONFIG_UNSUPPORTED") {
+        this._fallBackToReconnect();
         return;
       }
 
@@ -153,8 +294,12 @@ class WebSocketClient extends EventEmitter {
 
       // Handle regular transcription segments
       if (data.segments) {
+        // Interim segments follow the segment this message finalizes, if any
+        const firstInterim = data.segment ? 1 : 0;
         // Filter current interim segments (don't accumulate old ones)
-        const currentInterim = data.segments.filter(segment => !segment.completed);
+        const currentInterim = data.segments
+          .filter(segment => !segment.completed)
+          .map((segment, index) => this._normalizeSegment(segment, data, false, false, firstInterim + index));
         if (currentInterim.length > 0) {
           this.emit('segments', currentInterim);
         }
@@ -162,17 +307,19 @@ class WebSocketClient extends EventEmitter {
       
       // Handle translated segments
       if (data.translated_segments) {
-        this.emit('translatedSegments', data.translated_segments);
+        const firstInterim = data.translated_segment ? 1 : 0;
+        const translated = data.translated_segments.map((segment, index) => this._normalizeSegment(segment, data, true, false, firstInterim + index));
+        this.emit('translatedSegments', translated, data.target_language);
       }
       
       // Handle finalized segment (single segment)
       if (data.segment) {
-        this.emit('finalizedSegment', data.segment);
+        this.emit('finalizedSegment', this._normalizeSegment(data.segment, data, false, true));
       }
       
       // Handle finalized translated segment
       if (data.translated_segment) {
-        this.emit('finalizedTranslatedSegment', data.translated_segment);
+        this.emit('finalizedTranslatedSegment', this._normalizeSegment(data.translated_segment, data, true, true), data.target_language);
       }
 
       if (data.type === "audio") {
@@ -186,9 +333,40 @@ class WebSocketClient extends EventEmitter {
       this.emit('transcription', data);
       
     } catch (error) {
-      this.callbacks.onError(error);
-      this.emit('error', error);
+      const reported = error instanceof SyntaxError
+        ? new ProtocolError('Received a malformed message from the server.', { cause: error })
+        : error;
+      this.callbacks.onError(reported);
+      this.emit('error', reported);
+    }
+  }
+
+  /**
+   * Normalizes a segment from the server into the documented segment shape
+   * @private
+   * @param {Object} segment - The segment as received
+   * @param {Object} data - The message that carried it
+   * @param {boolean} translated - Whether it is a translation
+   * @param {boolean} completed - Whether it was sent as a finalized segment
+   * @param {number} [position=0] - How many utterances after the next one to finalize the segment belongs to,
+   *   used for the fallback id of an interim segment
+   * @returns {Object} The normalized segment
+   */
+  _normalizeSegment(segment, data, translated, completed, position = 0) {
+    if (!segment || typeof segment !== 'object') {
+      return segment;
     }
+    const kind = translated ? 'translation' : 'source';
+    const sourceLanguage = this.sourceLanguage !== 'auto' ? this.sourceLanguage : null;
+    const normalized = normalizeSegment(segment, {
+      language: translated ? data.target_language || this.targetLanguage : data.language || sourceLanguage,
+      completed,
+      id: `utt-${this.utteranceIndex[kind] + position}`
+    });
+    if (completed) {
+      this.utteranceIndex[kind]++;
+    }
+    return normalized;
   }
 
   /**
@@ -240,110 +418,813 @@ class WebSocketClient extends EventEmitter {
 
   /**
    * Connects to the WebSocket server
-   * @returns {Promise} A promise that resolves when the connection is established
+   * @returns {Promise<void>} A promise that resolves when the server reports SERVER_READY and rejects
+   *   with the authentication, timeout or connection error otherwise
    */
   connect() {
     return new Promise((resolve, reject) => {
+      this.pendingConnect = { resolve, reject };
+
       // Validate API key before attempting connection
       if (!this._validateApiKey()) {
-        const error = new Error('Connection failed: Invalid or missing API key. Please provide a valid API key to authenticate.');
+        const error = new AuthenticationError('Connection failed: Invalid or missing API key. Please provide a valid API key to authenticate.');
         this.callbacks.onError(error);
         this.emit('error', error);
-        reject(error);
+        this._settleConnect(error);
         return;
       }
 
-      try {
-        const protocol = this.secure ? 'wss' : 'ws';
-        this.socket = new WebSocket(`${protocol}://${this.host}:${this.port}`);
-
-        this.socket.onopen = () => {
-          const options = {
-            uid: this.uuid,
-            authorization: this.apiKey ? `Bearer ${this.apiKey}` : undefined,
-            use_vad: this.useVad
-          };
-          
-          // Only include language parameters if they are explicitly set
-          if (this.sourceLanguage !== null && this.sourceLanguage !== undefined) {
-            options.sourceLanguage = this.sourceLanguage;
-          }
-          if (this.targetLanguage !== null && this.targetLanguage !== undefined) {
-            options.targetLanguage = this.targetLanguage;
-          }
-          if (this.saveToDashboard !== null && this.saveToDashboard !== undefined) {
-            options.saveToDashboard = this.saveToDashboard;
-          }
-          if (this.translationEnabled !== null && this.translationEnabled !== undefined) {
-            options.translationEnabled = this.translationEnabled;
-          }
-          if (this.voiceOverEnabled !== null && this.voiceOverEnabled !== undefined) {
-            options.voiceOverEnabled = this.voiceOverEnabled;
-          }
-          if (this.voiceId !== null && this.voiceId !== undefined) {
-            options.voiceId = this.voiceId;
+      this.isClosing = false;
+      this._openSocket();
+    });
+  }
+
+  /**
+   * Settles the promise returned by connect(), if it is still pending
+   * @private
+   * @param {Error} [error] - Rejects with this error when given, resolves otherwise
+   */
+  _settleConnect(error) {
+    const pending = this.pendingConnect;
+    if (!pending) {
+      return;
+    }
+    this.pendingConnect = null;
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve();
+    }
+  }
+
+  /**
+   * Opens the socket and performs the handshake. Used for the initial
+   * connection as well as for every reconnection attempt.
+   * @private
+   */
+  _openSocket() {
+    try {
+      const protocol = this.secure ? 'wss' : 'ws';
+      const url = `${protocol}://${this.host}:${this.port}`;
+      const socket = new WebSocket(url, this._buildSocketOptions(url));
+      this.socket = socket;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify(this._buildHandshake()));
+        
+        // Set timeout for server ready confirmation
+        this.connectionTimer = setTimeout(() => {
+          if (this.isServerReady) {
+            return;
           }
-          if (this.autoVoiceCloning !== null && this.autoVoiceCloning !== undefined) {
-            options.autoVoiceCloning = this.autoVoiceCloning;
+          // A reconnection attempt that times out is simply retried
+          if (this.isReconnecting) {
+            socket.terminate();
+            return;
           }
-          
-          this.socket.send(JSON.stringify(options));
-          
-          // Set timeout for server ready confirmation
-          this.connectionTimer = setTimeout(() => {
-            if (!this.isServerReady) {
-              const error = new Error('Connection failed: Timeout waiting for server response. This may indicate an invalid API key or server connectivity issues.');
-              this.callbacks.onError(error);
-              this.emit('error', error);
-              this.close();
-              reject(error);
-            }
-          }, this.connectionTimeout);
-          
-          resolve();
-        };
+          const error = new ConnectionTimeoutError('Connection failed: Timeout waiting for server response. This may indicate an invalid API key or server connectivity issues.');
+          this.callbacks.onError(error);
+          this.emit('error', error);
+          this._settleConnect(error);
+          this.close();
+        }, this.connectionTimeout);
+      };
 
-        this.socket.onclose = (event) => {
-          this.callbacks.onClose(event);
-        };
+      socket.onclose = (event) => {
+        // Ignore late events from a socket that has already been replaced
+        if (this.socket !== socket) {
+          return;
+        }
+        if (this.connectionTimer) {
+          clearTimeout(this.connectionTimer);
+          this.connectionTimer = null;
+        }
+        this.isServerReady = false;
+        this._stopHeartbeat();
+        if (this.backpressure) {
+          this._clearCongestion(0);
+        }
 
-        this.socket.onerror = (error) => {
-          this.callbacks.onError(error);
-          reject(error);
-        };
+        if (this._shouldReconnect()) {
+          this._scheduleReconnect();
+          return;
+        }
+
+        this._settleConnect(new ConnectionError('Connection failed: The connection was closed before the server was ready.'));
+        this.callbacks.onClose(event);
+        this.emit('close', event);
+      };
+
+      socket.onerror = (event) => {
+        // Failed reconnection attempts are followed by a close event, which
+        // schedules the next attempt
+        if (this.isReconnecting || this.isClosing) {
+          return;
+        }
+        const error = new ConnectionError(`Connection failed: ${event.message}`, { cause: event.error });
+        this.callbacks.onError(error);
+        this.emit('error', error);
+        this._settleConnect(error);
+      };
+
+      socket.onmessage = this._handleMessage.bind(this);
+      socket.on('pong', () => {
+        if (this.socket === socket && this.pongTimer) {
+          clearTimeout(this.pongTimer);
+          this.pongTimer = null;
+        }
+      });
+    } catch (err) {
+      const error = err instanceof MaestraError
+        ? err
+        : new ConnectionError(`Connection failed: ${err.message}`, { cause: err });
+      this.callbacks.onError(error);
+      this.emit('error', error);
+      this._settleConnect(error);
+    }
+  }
+
+  /**
+   * Builds the `ws` connection options: proxy agent, TLS settings and extra headers
+   * @private
+   * @param {string} url - The WebSocket URL being connected to
+   * @returns {Object} Options for the WebSocket constructor
+   */
+  _buildSocketOptions(url) {
+    const socketOptions = {};
+
+    for (const [name, value] of Object.entries(this.tlsOptions)) {
+      if (value !== undefined && value !== null) {
+        socketOptions[name] = value;
+      }
+    }
+    // Node replaces its built-in roots when `ca` is given, so keep them
+    if (socketOptions.ca) {
+      socketOptions.ca = [...tls.rootCertificates, ...[].concat(socketOptions.ca)];
+    }
+
+    if (this.headers) {
+      socketOptions.headers = { ...this.headers };
+    }
+
+    if (this.agent) {
+      socketOptions.agent = this.agent;
+    } else {
+      const proxyUrl = getProxyForUrl(url, this.proxy);
+      if (proxyUrl) {
+        // Reuse the agent across reconnects
+        if (!this.proxyAgent || this.proxyAgentUrl !== proxyUrl) {
+          this.proxyAgent = createProxyAgent(proxyUrl, socketOptions.ca ? { ca: socketOptions.ca } : {});
+          this.proxyAgentUrl = proxyUrl;
+        }
+        socketOptions.agent = this.proxyAgent;
+      }
+    }
+    return socketOptions;
+  }
+
+  /**
+   * Builds the handshake options sent to the server when a socket opens
+   * @private
+   * @returns {Object} The handshake payload
+   */
+  _buildHandshake() {
+    const options = {
+      uid: this.uuid,
+      authorization: this.apiKey ? `Bearer ${this.apiKey}` : undefined,
+      use_vad: this.useVad
+    };
+    
+    // Only include language parameters if they are explicitly set
+    if (this.sourceLanguage !== null && this.sourceLanguage !== undefined) {
+      options.sourceLanguage = this.sourceLanguage;
+    }
+    if (this.targetLanguage !== null && this.targetLanguage !== undefined) {
+      options.targetLanguage = this.targetLanguage;
+    }
+    if (Array.isArray(this.targetLanguages) && this.targetLanguages.length > 0) {
+      options.targetLanguages = this.targetLanguages;
+    }
+    if (this.saveToDashboard !== null && this.saveToDashboard !== undefined) {
+      options.saveToDashboard = this.saveToDashboard;
+    }
+    if (this.translationEnabled !== null && this.translationEnabled !== undefined) {
+      options.translationEnabled = this.translationEnabled;
+    }
+    if (this.voiceOverEnabled !== null && this.voiceOverEnabled !== undefined) {
+      options.voiceOverEnabled = this.voiceOverEnabled;
+    }
+    if (this.voiceId !== null && this.voiceId !== undefined) {
+      options.voiceId = this.voiceId;
+    }
+    if (this.autoVoiceCloning !== null && this.autoVoiceCloning !== undefined) {
+      options.autoVoiceCloning = this.autoVoiceCloning;
+    }
+    return options;
+  }
+
+  /**
+   * Changes session settings without tearing the session down. The change is
+   * sent as a control message over the open socket; if the server does not
+   * acknowledge it in time, or reports that it cannot apply it in-band, the
+   * session is transparently resumed with a new handshake carrying the new
+   * settings.
+   * @param {Object} changes - The settings to change
+   * @param {string} [changes.sourceLanguage] - Source language code
+   * @param {string} [changes.targetLanguage] - Target language for translation (null disables translation)
+   * @param {string} [changes.voiceId] - Voice ID for voice-over generation (null disables voice-over)
+   * @param {boolean} [changes.saveToDashboard] - Save transcription after session
+   * @param {boolean} [changes.autoVoiceCloning] - Enable automatic voice cloning
+   * @returns {Promise<{config: Object, method: string}>} Resolves once the change is in effect, with `method`
+   *   set to 'in-band' or 'reconnect'
+   */
+  updateConfig(changes = {}) {
+    return new Promise((resolve, reject) => {
+      const unknown = Object.keys(changes).filter((key) => !WebSocketClient.UPDATABLE_OPTIONS.includes(key));
+      if (unknown.length > 0) {
+        reject(new MaestraError(`Cannot update ${unknown.join(', ')}. Updatable options: ${WebSocketClient.UPDATABLE_OPTIONS.join(', ')}.`, { code: 'INVALID_CONFIG' }));
+        return;
+      }
+      if (!this.isServerReady || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+        reject(new StateError('Cannot update the configuration before the server is ready.'));
+        return;
+      }
+      if (this.pendingConfigUpdate) {
+        reject(new StateError('A configuration update is already in progress.'));
+        return;
+      }
 
-        this.socket.onmessage = this._handleMessage.bind(this);
-      } catch (error) {
-        reject(error);
+      // Apply locally first so a fallback handshake carries the new settings, keeping the
+      // previous values to restore if the update fails
+      const config = { ...changes };
+      const previous = {};
+      for (const key of Object.keys(changes)) {
+        previous[key] = this[key];
+      }
+      Object.assign(this, changes);
+      if ('targetLanguage' in changes) {
+        config.translationEnabled = this.translationEnabled;
+      }
+      if ('voiceId' in changes) {
+        config.voiceOverEnabled = this.voiceOverEnabled;
       }
+
+      this.pendingConfigUpdate = {
+        config: changes,
+        previous,
+        resolve,
+        reject,
+        timer: setTimeout(() => this._fallBackToReconnect(), this.configUpdateTimeout),
+        fallingBack: false,
+        removeListeners: () => {}
+      };
+      this.socket.send(JSON.stringify({ type: 'update_config', uid: this.uuid, config }));
     });
   }
 
+  /**
+   * Resolves the pending configuration update
+   * @private
+   * @param {string} method - How the change was applied, 'in-band' or 'reconnect'
+   */
+  _finishConfigUpdate(method) {
+    const pending = this.pendingConfigUpdate;
+    if (!pending) {
+      return;
+    }
+    this.pendingConfigUpdate = null;
+    clearTimeout(pending.timer);
+    pending.removeListeners();
+    const result = { config: pending.config, method };
+    this.emit('config-updated', result);
+    pending.resolve(result);
+  }
+
+  /**
+   * Rejects the pending configuration update and restores the previous settings
+   * @private
+   * @param {Error} error - The reason the update failed
+   */
+  _failConfigUpdate(error) {
+    const pending = this.pendingConfigUpdate;
+    if (!pending) {
+      return;
+    }
+    this.pendingConfigUpdate = null;
+    clearTimeout(pending.timer);
+    pending.removeListeners();
+    Object.assign(this, pending.previous);
+    pending.reject(error);
+  }
+
+  /**
+   * Applies the pending configuration update by resuming the session with a new handshake.
+   * When the session is already being resumed, the update completes with that resumption.
+   * @private
+   */
+  _fallBackToReconnect() {
+    const pending = this.pendingConfigUpdate;
+    if (!pending || pending.fallingBack) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    pending.fallingBack = true;
+
+    const onReconnected = () => this._finishConfigUpdate('reconnect');
+    const onFailed = ({ error }) => this._failConfigUpdate(error);
+    pending.removeListeners = () => {
+      this.removeListener('reconnected', onReconnected);
+      this.removeListener('reconnect-failed', onFailed);
+    };
+    this.once('reconnected', onReconnected);
+    this.once('reconnect-failed', onFailed);
+
+    if (!this.isReconnecting) {
+      this._resumeSession('config-update');
+    }
+  }
+
+  /**
+   * Replaces the current socket with a new one for the same session (same uid)
+   * @private
+   * @param {string} reason - Reported with the 'reconnecting' event
+   */
+  _resumeSession(reason) {
+    const previous = this.socket;
+    if (this.connectionTimer) {
+      clearTimeout(this.connectionTimer);
+      this.connectionTimer = null;
+    }
+    if (this.backpressure) {
+      this._clearCongestion(0);
+    }
+    this.isServerReady = false;
+    this._stopHeartbeat();
+    this.isReconnecting = true;
+    this.reconnectAttempts = 1;
+    this.emit('reconnecting', { attempt: 1, delay: 0, reason });
+
+    // Open the replacement first so the old socket's close event is ignored
+    this._openSocket();
+    if (previous) {
+      previous.close();
+    }
+  }
+
+  /**
+   * Normalizes the `heartbeat` constructor option
+   * @private
+   * @param {boolean|Object} heartbeat - The raw option value
+   * @returns {Object|null} The heartbeat settings, or null when disabled
+   */
+  _normalizeHeartbeatOptions(heartbeat) {
+    if (!heartbeat) {
+      return null;
+    }
+    const settings = heartbeat === true ? {} : heartbeat;
+    return {
+      interval: settings.interval || 15000,
+      timeout: settings.timeout || 10000,
+      staleAfter: settings.staleAfter !== undefined ? settings.staleAfter : 60000
+    };
+  }
+
+  /**
+   * Starts pinging the server and watching for silence from it
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    if (!this.heartbeat) {
+      return;
+    }
+    this.lastMessageAt = Date.now();
+
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.socket || this.socket.readyState !== WebSocket.OPEN || this.pongTimer) {
+        return;
+      }
+      this.pongTimer = setTimeout(() => {
+        this.pongTimer = null;
+        this._handleStaleConnection('pong-timeout');
+      }, this.heartbeat.timeout);
+      this.socket.ping();
+    }, this.heartbeat.interval);
+
+    const { staleAfter } = this.heartbeat;
+    if (staleAfter > 0) {
+      this.watchdogTimer = setInterval(() => {
+        const now = Date.now();
+        const audioFlowing = now - this.lastAudioSentAt < staleAfter;
+        if (audioFlowing && now - this.lastMessageAt > staleAfter) {
+          this._handleStaleConnection('no-server-messages');
+        }
+      }, Math.min(1000, staleAfter));
+    }
+  }
+
+  /**
+   * Stops the heartbeat and watchdog timers
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.pongTimer) {
+      clearTimeout(this.pongTimer);
+      this.pongTimer = null;
+    }
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+
+  /**
+   * Reports a dead connection and terminates the socket, which triggers the
+   * reconnect logic (or a close when reconnecting is disabled)
+   * @private
+   * @param {string} reason - 'pong-timeout' or 'no-server-messages'
+   */
+  _handleStaleConnection(reason) {
+    this._stopHeartbeat();
+    this.emit('connection-stale', {
+      reason,
+      lastMessageAt: this.lastMessageAt,
+      lastAudioSentAt: this.lastAudioSentAt
+    });
+    if (this.socket) {
+      this.disconnectReason = 'connection-stale';
+      this.socket.terminate();
+    }
+  }
+
+  /**
+   * Normalizes the `reconnect` constructor option into a policy object
+   * @private
+   * @param {boolean|Object} reconnect - The raw option value
+   * @returns {Object|null} The reconnect policy, or null when disabled
+   */
+  _normalizeReconnectOptions(reconnect) {
+    if (!reconnect) {
+      return null;
+    }
+    const policy = reconnect === true ? {} : reconnect;
+    if (policy.enabled === false) {
+      return null;
+    }
+    return {
+      maxAttempts: policy.maxAttempts !== undefined ? policy.maxAttempts : 10,
+      initialDelay: policy.initialDelay !== undefined ? policy.initialDelay : 1000,
+      maxDelay: policy.maxDelay !== undefined ? policy.maxDelay : 30000,
+      factor: policy.factor !== undefined ? policy.factor : 2,
+      jitter: policy.jitter !== undefined ? policy.jitter : 0.3
+    };
+  }
+
+  /**
+   * Whether a dropped socket should be re-established. Only sessions that
+   * reached SERVER_READY at least once are resumed.
+   * @private
+   * @returns {boolean}
+   */
+  _shouldReconnect() {
+    if (this.isClosing) {
+      return false;
+    }
+    // A resumption started by updateConfig() is seen through even without a policy
+    return this.isReconnecting || (Boolean(this.reconnectOptions) && this.hasBeenReady);
+  }
+
+  /**
+   * Computes the backoff delay for the given attempt
+   * @private
+   * @param {number} attempt - The attempt number, starting at 1
+   * @returns {number} The delay in milliseconds
+   */
+  _getReconnectDelay(attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = this.reconnectOptions;
+    const base = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+    const spread = base * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + spread));
+  }
+
+  /**
+   * Schedules the next reconnection attempt, or gives up once the
+   * configured number of attempts has been used
+   * @private
+   */
+  _scheduleReconnect() {
+    const maxAttempts = this.reconnectOptions ? this.reconnectOptions.maxAttempts : 1;
+
+    if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
+      const error = new ConnectionError(`Connection lost: Reconnection failed after ${this.reconnectAttempts} attempts.`);
+      this._abandonReconnect(error);
+      this.callbacks.onError(error);
+      this.emit('error', error);
+      this.callbacks.onClose();
+      this.emit('close');
+      return;
+    }
+
+    this.isReconnecting = true;
+    this.reconnectAttempts++;
+    const attempt = this.reconnectAttempts;
+    const delay = this._getReconnectDelay(attempt);
+    const reason = this.disconnectReason || 'connection-lost';
+    this.disconnectReason = null;
+    this.emit('reconnecting', { attempt, delay, reason });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isClosing) {
+        return;
+      }
+      // Attempt failures surface through onclose, which schedules the next attempt
+      this._openSocket();
+    }, delay);
+  }
+
+  /**
+   * Gives up resuming the session and emits `reconnect-failed`
+   * @private
+   * @param {Error} error - Why the session cannot be resumed
+   */
+  _abandonReconnect(error) {
+    const attempts = this.reconnectAttempts;
+    this.isReconnecting = false;
+    this.reconnectAttempts = 0;
+    this.hasBeenReady = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.emit('reconnect-failed', { attempts, error });
+  }
+
   /**
    * Sends audio data to the server
    * @param {Float32Array} audioData - The audio data to send
    */
   sendAudio(audioData) {
     if (this.socket && this.socket.readyState === WebSocket.OPEN && this.isServerReady) {
+      this.lastAudioSentAt = Date.now();
+      if (this.backpressure && this._checkCongestion()) {
+        this._handleCongestedAudio(audioData);
+        return;
+      }
+      this._flushAudioBuffer();
       this.socket.send(audioData);
+      return;
+    }
+
+    if (this.audioBuffer) {
+      this._bufferAudio(audioData);
     }
   }
 
+  /**
+   * Holds audio until the server is ready, reporting any audio that had to be dropped
+   * @private
+   * @param {Float32Array|Buffer} audioData - The audio data to hold
+   */
+  _bufferAudio(audioData) {
+    const droppedSamples = this.audioBuffer.push(audioData);
+    if (droppedSamples > 0) {
+      this.emit('buffer-overflow', {
+        droppedSamples,
+        droppedSeconds: droppedSamples / AudioRingBuffer.SAMPLE_RATE,
+        bufferedSeconds: this.audioBuffer.duration
+      });
+    }
+  }
+
+  /**
+   * Sends any buffered audio, oldest first
+   * @private
+   */
+  _flushAudioBuffer() {
+    if (!this.audioBuffer || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    while (!this.audioBuffer.isEmpty) {
+      if (this.backpressure && this._checkCongestion()) {
+        return;
+      }
+      this.socket.send(this.audioBuffer.shift());
+    }
+  }
+
+  /**
+   * Tells the server that no more audio will follow, so it finalizes the
+   * current utterance. Buffered audio is sent first regardless of congestion.
+   * @returns {boolean} True if the marker was sent
+   */
+  sendEndOfAudio() {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.isServerReady) {
+      return false;
+    }
+    if (this.audioBuffer) {
+      while (!this.audioBuffer.isEmpty) {
+        this.socket.send(this.audioBuffer.shift());
+      }
+    }
+    this.socket.send(Buffer.from(WebSocketClient.END_OF_AUDIO));
+    return true;
+  }
+
+  /**
+   * Normalizes the `backpressure` constructor option
+   * @private
+   * @param {Object} backpressure - The raw option value
+   * @returns {Object|null} The backpressure settings, or null when disabled
+   */
+  _normalizeBackpressureOptions(backpressure) {
+    if (!backpressure) {
+      return null;
+    }
+    const policy = backpressure.policy || 'drop-oldest';
+    if (!['block', 'drop-oldest', 'skip-silence'].includes(policy)) {
+      throw new Error(`Invalid backpressure policy "${policy}". Expected 'block', 'drop-oldest' or 'skip-silence'.`);
+    }
+    const highWaterMark = backpressure.highWaterMark || 256 * 1024;
+    return {
+      policy,
+      highWaterMark,
+      lowWaterMark: backpressure.lowWaterMark !== undefined ? backpressure.lowWaterMark : Math.floor(highWaterMark / 2),
+      maxQueueSeconds: backpressure.maxQueueSeconds || 5,
+      silenceThreshold: backpressure.silenceThreshold !== undefined ? backpressure.silenceThreshold : 0.01,
+      congestionInterval: backpressure.congestionInterval || 1000
+    };
+  }
+
+  /**
+   * Updates the congestion flag from the socket's buffered amount. Congestion
+   * starts above the high water mark and clears at the low water mark.
+   * @private
+   * @returns {boolean} True if the link is congested
+   */
+  _checkCongestion() {
+    const bufferedAmount = this.socket ? this.socket.bufferedAmount : 0;
+
+    if (!this.isCongested && bufferedAmount > this.backpressure.highWaterMark) {
+      this.isCongested = true;
+      this._emitCongestion(bufferedAmount);
+      // ws has no drain event, so poll until the buffer empties
+      this.congestionTimer = setInterval(() => this._pollCongestion(), 50);
+    }
+    return this.isCongested;
+  }
+
+  /**
+   * Polls the socket while congested, clearing congestion once the buffer drains
+   * @private
+   */
+  _pollCongestion() {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      this._clearCongestion(0);
+      return;
+    }
+
+    const bufferedAmount = this.socket.bufferedAmount;
+    if (bufferedAmount > this.backpressure.lowWaterMark) {
+      if (Date.now() - this.lastCongestionEventAt >= this.backpressure.congestionInterval) {
+        this._emitCongestion(bufferedAmount);
+      }
+      return;
+    }
+
+    this._clearCongestion(bufferedAmount);
+    if (this.isServerReady) {
+      this._flushAudioBuffer();
+    }
+  }
+
+  /**
+   * Ends a congestion episode and tells listeners that audio may flow again
+   * @private
+   * @param {number} bufferedAmount - Bytes waiting in the socket's outgoing buffer
+   */
+  _clearCongestion(bufferedAmount) {
+    if (!this.isCongested) {
+      return;
+    }
+    this._resetCongestion();
+    this.emit('congestion-cleared', { bufferedAmount, policy: this.backpressure.policy });
+  }
+
+  /**
+   * Emits a congestion event with the current buffered bytes
+   * @private
+   * @param {number} bufferedAmount - Bytes waiting in the socket's outgoing buffer
+   */
+  _emitCongestion(bufferedAmount) {
+    this.lastCongestionEventAt = Date.now();
+    this.emit('congestion', {
+      bufferedAmount,
+      highWaterMark: this.backpressure.highWaterMark,
+      policy: this.backpressure.policy
+    });
+  }
+
+  /**
+   * Clears the congestion flag and stops polling
+   * @private
+   */
+  _resetCongestion() {
+    this.isCongested = false;
+    if (this.congestionTimer) {
+      clearInterval(this.congestionTimer);
+      this.congestionTimer = null;
+    }
+  }
+
+  /**
+   * Applies the backpressure policy to audio produced while the link is congested
+   * @private
+   * @param {Float32Array|Buffer} audioData - The audio data to send
+   */
+  _handleCongestedAudio(audioData) {
+    if (this.backpressure.policy === 'skip-silence') {
+      if (this._rms(audioData) >= this.backpressure.silenceThreshold) {
+        this.socket.send(audioData);
+      }
+      return;
+    }
+    this._bufferAudio(audioData);
+  }
+
+  /**
+   * Computes the RMS level of a 32-bit float PCM chunk
+   * @private
+   * @param {Float32Array|Buffer} audioData - The audio data
+   * @returns {number} The RMS level
+   */
+  _rms(audioData) {
+    let samples = audioData;
+    if (!(audioData instanceof Float32Array)) {
+      const bytes = audioData instanceof ArrayBuffer ? new Uint8Array(audioData) : audioData;
+      // Copy into a fresh buffer, as Buffer views are not always 4-byte aligned
+      samples = new Float32Array(Uint8Array.from(bytes).buffer, 0, AudioRingBuffer.sampleCount(audioData));
+    }
+    if (samples.length === 0) {
+      return 0;
+    }
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / samples.length);
+  }
+
   /**
    * Closes the WebSocket connection
+   * @param {number} [timeout=5000] - How long to wait for the closing handshake before terminating the socket
+   * @returns {Promise<void>} A promise that resolves once the socket has closed
    */
-  close() {
+  close(timeout = 5000) {
+    this.isClosing = true;
+    this.isReconnecting = false;
+    this.reconnectAttempts = 0;
+    this._failConfigUpdate(new StateError('The connection was closed before the configuration update completed.'));
+    this._stopHeartbeat();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
     // Clear connection timeout if it exists
     if (this.connectionTimer) {
       clearTimeout(this.connectionTimer);
       this.connectionTimer = null;
     }
     
-    if (this.socket) {
-      this.socket.close();
+    let closed = Promise.resolve();
+    const socket = this.socket;
+    if (socket && socket.readyState !== WebSocket.CLOSED) {
+      closed = new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          socket.terminate();
+          resolve();
+        }, timeout);
+        socket.once('close', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+      socket.close();
     }
     
     this.isServerReady = false;
+    this._settleConnect(new ConnectionError('Connection failed: The connection was closed before the server was ready.'));
+
+    if (this.audioBuffer) {
+      this.audioBuffer.clear();
+    }
+    this._resetCongestion();
+    return closed;
   }
 
   _generateUUID() {
@@ -351,4 +1232,16 @@ class WebSocketClient extends EventEmitter {
   }
 }
 
+/**
+ * Settings that can be changed with updateConfig()
+ * @type {string[]}
+ */
+WebSocketClient.UPDATABLE_OPTIONS = ['sourceLanguage', 'targetLanguage', 'voiceId', 'saveToDashboard', 'autoVoiceCloning'];
+
+/**
+ * Binary marker telling the server that the audio has ended
+ * @type {string}
+ */
+WebSocketClient.END_OF_AUDIO = 'END_OF_AUDIO';
+
 module.exports = WebSocketClient; 
\ No newline at end of file
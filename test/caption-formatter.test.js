@@ -0,0 +1,138 @@
+const assert = require('assert');
+const { CaptionFormatter, CaptionMode, layoutCues, wrapText } = require('../lib/caption-formatter');
+const { MaestraError } = require('../lib/errors');
+
+describe('caption-formatter', () => {
+  describe('wrapText', () => {
+    it('wraps at word boundaries', () => {
+      assert.deepStrictEqual(wrapText('the quick brown fox', 10), ['the quick', 'brown fox']);
+      assert.deepStrictEqual(wrapText('  ', 10), []);
+    });
+
+    it('breaks words longer than a line', () => {
+      assert.deepStrictEqual(wrapText('abcdefghijkl', 5), ['abcde', 'fghij', 'kl']);
+      assert.deepStrictEqual(wrapText('a abcdefghijkl b', 5), ['a', 'abcde', 'fghij', 'kl b']);
+    });
+  });
+
+  describe('layoutCues', () => {
+    const options = { maxCharsPerLine: 9, maxLines: 1, minDisplayTime: 0 };
+
+    it('shares a segment between cues in proportion to their length', () => {
+      const cues = layoutCues([{ start: 0, end: 4, text: 'aaaa bbbb cccc dddd' }], options);
+      assert.deepStrictEqual(cues, [
+        { start: 0, end: 2, lines: ['aaaa bbbb'] },
+        { start: 2, end: 4, lines: ['cccc dddd'] }
+      ]);
+    });
+
+    it('splits at word timings when every word has one', () => {
+      const words = [[0, 0.5], [0.5, 1], [3, 3.5], [3.5, 4]].map(([start, end], index) => ({
+        text: ['aaaa', 'bbbb', 'cccc', 'dddd'][index], start, end, estimated: false
+      }));
+      const cues = layoutCues([{ start: 0, end: 4, text: 'aaaa bbbb cccc dddd', words }], options);
+      assert.deepStrictEqual(cues.map((cue) => [cue.start, cue.end]), [[0, 1], [3, 4]]);
+    });
+
+    it('ignores estimated word timings', () => {
+      const words = [{ text: 'aaaa', start: 0, end: 3.5, estimated: true }, { text: 'bbbb', start: 3.5, end: 4, estimated: true }];
+      const cues = layoutCues([{ start: 0, end: 4, text: 'aaaa bbbb', words }], { ...options, maxCharsPerLine: 4 });
+      assert.deepStrictEqual(cues.map((cue) => [cue.start, cue.end]), [[0, 2], [2, 4]]);
+    });
+
+    it('holds cues for the minimum display time unless the next cue starts', () => {
+      assert.strictEqual(layoutCues([{ start: 0, end: 0.2, text: 'hi' }])[0].end, 1);
+      const cues = layoutCues([{ start: 0.5, end: 2, text: 'there' }, { start: 0, end: 0.2, text: 'hi' }]);
+      assert.deepStrictEqual(cues.map((cue) => cue.lines[0]), ['hi', 'there']);
+      assert.strictEqual(cues[0].end, 0.5);
+    });
+
+    it('holds cues long enough to read at maxCps', () => {
+      const [cue] = layoutCues([{ start: 0, end: 0.5, text: 'hello world' }], { maxCps: 11, minDisplayTime: 0 });
+      assert.strictEqual(cue.end, 1);
+    });
+
+    it('skips segments without timing or text', () => {
+      assert.deepStrictEqual(layoutCues([{ start: null, end: 1, text: 'x' }, { start: 0, end: 1, text: '' }]), []);
+    });
+  });
+
+  describe('CaptionFormatter', () => {
+    const final = (text, start = 0, end = 1) => ({ start, end, text });
+
+    it('rejects an unknown mode and empty layouts', () => {
+      for (const options of [{ mode: 'scroll' }, { maxLines: 0 }, { maxCharsPerLine: 0 }]) {
+        assert.throws(() => new CaptionFormatter(options), (error) => error instanceof MaestraError && error.code === 'INVALID_CONFIG');
+      }
+    });
+
+    it('scrolls earlier lines up in roll-up mode', () => {
+      const formatter = new CaptionFormatter({ mode: CaptionMode.ROLL_UP, maxCharsPerLine: 10, minDisplayTime: 0 });
+      formatter.addFinal(final('one two three four five'));
+      assert.deepStrictEqual(formatter.tick(0).lines, ['three four', 'five']);
+    });
+
+    it('clears a full block in paint-on mode', () => {
+      const formatter = new CaptionFormatter({ mode: CaptionMode.PAINT_ON, maxCharsPerLine: 10, minDisplayTime: 0 });
+      formatter.addFinal(final('one two three four five'));
+      assert.deepStrictEqual(formatter.tick(0).lines, ['five']);
+    });
+
+    it('shows interim text until it is finalized', () => {
+      const formatter = new CaptionFormatter({ minDisplayTime: 0 });
+      formatter.updateInterim(final('hello'));
+      assert.strictEqual(formatter.tick(0).text, 'hello');
+      formatter.addFinal(final('hello there'));
+      formatter.updateInterim(final('hello the', 0, 0.8));
+      assert.strictEqual(formatter.tick(1).text, 'hello there');
+      formatter.updateInterim(final('next', 1, 2));
+      assert.strictEqual(formatter.tick(2).text, 'hello there next');
+    });
+
+    it('keeps lines on screen for the minimum display time before scrolling', () => {
+      const formatter = new CaptionFormatter({ maxCharsPerLine: 10, minDisplayTime: 1000 });
+      formatter.addFinal(final('one two three four five'));
+      assert.deepStrictEqual(formatter.tick(0).lines, ['one two', 'three four']);
+      assert.deepStrictEqual(formatter.tick(999).lines, ['one two', 'three four']);
+      assert.deepStrictEqual(formatter.tick(1000).lines, ['three four', 'five']);
+    });
+
+    it('reveals words no faster than maxCps', () => {
+      const formatter = new CaptionFormatter({ mode: CaptionMode.PAINT_ON, maxCharsPerLine: 10, maxLines: 1, maxCps: 4, minDisplayTime: 0 });
+      formatter.addFinal(final('one two three'));
+      assert.deepStrictEqual(formatter.tick(0).lines, ['one two']);
+      assert.deepStrictEqual(formatter.tick(500).lines, ['one two']);
+      assert.deepStrictEqual(formatter.tick(1000).lines, ['three']);
+    });
+
+    it('shows complete finalized blocks in pop-up mode', () => {
+      const formatter = new CaptionFormatter({ mode: CaptionMode.POP_UP, maxCharsPerLine: 10, minDisplayTime: 1000 });
+      formatter.updateInterim(final('one two'));
+      assert.deepStrictEqual(formatter.tick(0).lines, []);
+      formatter.addFinal(final('one two three four five'));
+      assert.deepStrictEqual(formatter.tick(0).lines, ['one two', 'three four']);
+      assert.deepStrictEqual(formatter.tick(999).lines, ['one two', 'three four']);
+      assert.deepStrictEqual(formatter.tick(1000).lines, ['five']);
+    });
+
+    it('holds pop-up blocks long enough to read at maxCps', () => {
+      const formatter = new CaptionFormatter({ mode: CaptionMode.POP_UP, maxCharsPerLine: 10, maxCps: 5, minDisplayTime: 0 });
+      formatter.addFinal(final('one two three four five'));
+      formatter.tick(0);
+      assert.deepStrictEqual(formatter.tick(3399).lines, ['one two', 'three four']);
+      assert.deepStrictEqual(formatter.tick(3400).lines, ['five']);
+    });
+
+    it('emits frame only when the text changes', () => {
+      const formatter = new CaptionFormatter({ minDisplayTime: 0 });
+      const frames = [];
+      formatter.on('frame', (frame) => frames.push(frame.text));
+      formatter.addFinal(final('hello'));
+      formatter.tick(0);
+      formatter.tick(100);
+      formatter.clear();
+      formatter.tick(200);
+      assert.deepStrictEqual(frames, ['hello', '']);
+    });
+  });
+});
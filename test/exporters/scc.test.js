@@ -0,0 +1,67 @@
+const assert = require('assert');
+const toScc = require('../../lib/exporters/scc');
+
+/**
+ * The caption words of the first cue block of an SCC document
+ * @param {string} scc - The SCC document
+ * @returns {string[]}
+ */
+function firstBlock(scc) {
+  return scc.split('\n').filter(Boolean)[1].split('\t');
+}
+
+describe('SCC exporter', () => {
+  it('writes a pop-on caption with odd-parity control codes and text', () => {
+    const scc = toScc([{ start: 0, end: 2, text: 'HI' }]);
+    const lines = scc.split('\n').filter(Boolean);
+    assert.strictEqual(lines[0], 'Scenarist_SCC V1.0');
+    // ENM, RCL, row 15 preamble, "HI", EOC; control codes are doubled
+    assert.strictEqual(lines[1], '00:00:00;00\t94ae 94ae 9420 9420 94e0 94e0 c849 942f 942f');
+    // EDM at the end time
+    assert.strictEqual(lines[2], '00:00:02;00\t942c 942c');
+  });
+
+  it('pads odd-length text with a null byte', () => {
+    const [, words] = firstBlock(toScc([{ start: 0, end: 1, text: 'A' }]));
+    assert.ok(words.endsWith('c180 942f 942f'), words);
+  });
+
+  it('encodes CEA-608 special characters and substitutes missing glyphs', () => {
+    const [, accented] = firstBlock(toScc([{ start: 0, end: 1, text: 'é' }]));
+    assert.ok(accented.includes(' dc80 '), accented);
+    // "*" has no CEA-608 glyph and is written as "#" (0x23)
+    const [, star] = firstBlock(toScc([{ start: 0, end: 1, text: '*' }]));
+    assert.ok(star.includes(' 2380 '), star);
+  });
+
+  it('places two-line cues on rows 14 and 15', () => {
+    const text = 'the quick brown fox jumps over the lazy dog';
+    const [, words] = firstBlock(toScc([{ start: 0, end: 4, text }]));
+    const codes = words.split(' ');
+    assert.ok(codes.indexOf('9440') < codes.indexOf('94e0'), words);
+  });
+
+  it('keeps lines within 32 characters', () => {
+    const text = 'a '.repeat(40).trim();
+    const [, words] = firstBlock(toScc([{ start: 0, end: 4, text }], { maxCharsPerLine: 60 }));
+    // Each row's text follows its doubled preamble; 32 characters are 16 words
+    const segments = words.split(/ (?:9440|94e0) (?:9440|94e0) /).slice(1);
+    assert.strictEqual(segments.length, 2);
+    for (const segment of segments) {
+      const textWords = segment.split(' ').filter((code) => code !== '942f');
+      assert.ok(textWords.length <= 16, segment);
+    }
+  });
+
+  it('uses non-drop timecode when dropFrame is false', () => {
+    // 60 s at 29.97 fps are 1798 frames, which non-drop timecode counts as 59 s and 28 frames
+    const scc = toScc([{ start: 60, end: 62, text: 'HI' }], { dropFrame: false });
+    assert.ok(scc.includes('\n00:00:59:28\t'), scc);
+  });
+
+  it('does not erase the screen between back-to-back cues', () => {
+    const scc = toScc([{ start: 0, end: 2, text: 'ONE' }, { start: 2, end: 4, text: 'TWO' }]);
+    const erases = scc.split('\n').filter((line) => line.endsWith('942c 942c'));
+    assert.strictEqual(erases.length, 1);
+  });
+});
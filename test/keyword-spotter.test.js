@@ -0,0 +1,91 @@
+const assert = require('assert');
+const KeywordSpotter = require('../lib/keyword-spotter');
+
+/**
+ * A finalized segment with one second per word
+ * @param {string} text - The segment text
+ * @param {Object} [fields] - Extra segment fields
+ * @returns {Object}
+ */
+function segment(text, fields = {}) {
+  const words = text.split(' ').map((word, index) => ({ text: word, start: 10 + index, end: 11 + index }));
+  return { id: fields.id || text, text, start: 10, end: 10 + words.length, completed: true, words, ...fields };
+}
+
+describe('KeywordSpotter', () => {
+  it('ignores case, accents and punctuation', () => {
+    const spotter = new KeywordSpotter(['Zoë Müller']);
+    const [match] = spotter.check(segment('Today ZOE MULLER, said that'));
+    assert.strictEqual(match.matched, 'ZOE MULLER,');
+    assert.strictEqual(match.score, 1);
+  });
+
+  it('matches inflected forms with stemming', () => {
+    const spotter = new KeywordSpotter(['protest'], { fuzzy: false });
+    for (const text of ['the protests', 'they protested', 'still protesting', "the protest's end"]) {
+      assert.strictEqual(spotter.check(segment(text)).length, 1, text);
+    }
+    assert.strictEqual(spotter.check(segment('the protester')).length, 0);
+    // Doubled consonants are undone: running -> run
+    assert.strictEqual(new KeywordSpotter(['run'], { fuzzy: false }).check(segment('he is running')).length, 1);
+    const exact = new KeywordSpotter(['protest'], { fuzzy: false, stemming: false });
+    assert.strictEqual(exact.check(segment('the protests')).length, 0);
+  });
+
+  it('tolerates misspellings in proportion to word length', () => {
+    const spotter = new KeywordSpotter(['Mitchell', 'Obama', 'Constantinople']);
+    const found = (text) => spotter.check(segment(text)).map((match) => match.keyword);
+    assert.deepStrictEqual(found('senator Michell spoke'), ['Mitchell']);
+    // An adjacent transposition is one edit
+    assert.deepStrictEqual(found('president Obmaa spoke'), ['Obama']);
+    assert.deepStrictEqual(found('to Konstantinopel'), ['Constantinople']);
+  });
+
+  it('requires short words to match exactly', () => {
+    const spotter = new KeywordSpotter(['NASA', 'Jane Doe']);
+    assert.strictEqual(spotter.check(segment('a nasal spray')).length, 0);
+    assert.strictEqual(spotter.check(segment('Jan does it')).length, 0);
+  });
+
+  it('matches exact words only when fuzzy is false', () => {
+    const spotter = new KeywordSpotter(['Mitchell'], { fuzzy: false });
+    assert.strictEqual(spotter.check(segment('senator Michell spoke')).length, 0);
+  });
+
+  it('reports word timing, wall-clock time and context', () => {
+    const spotter = new KeywordSpotter(['climate change'], { contextWords: 2 });
+    const [match] = spotter.check(segment('we talk about climate change every day', { startEpoch: 1000000 }));
+    assert.strictEqual(match.start, 13);
+    assert.strictEqual(match.end, 15);
+    assert.strictEqual(match.timestamp, 1000000 + 3000);
+    assert.deepStrictEqual(match.context, { before: 'talk about', match: 'climate change', after: 'every day' });
+  });
+
+  it('reports a keyword once per segment and honours the cooldown', () => {
+    const spotter = new KeywordSpotter([{ keyword: 'budget', cooldown: 60000 }, 'tax']);
+    assert.strictEqual(spotter.check(segment('the budget and tax', { id: 'a' })).length, 2);
+    assert.strictEqual(spotter.check(segment('the budget and tax', { id: 'a' })).length, 0);
+    const later = spotter.check(segment('budget tax again', { id: 'b' }));
+    assert.deepStrictEqual(later.map((match) => match.keyword), ['tax']);
+  });
+
+  it('skips interim segments unless interim is set', () => {
+    const interim = segment('the budget', { completed: false });
+    assert.strictEqual(new KeywordSpotter(['budget']).check(interim).length, 0);
+    assert.strictEqual(new KeywordSpotter(['budget'], { interim: true }).check(interim).length, 1);
+  });
+
+  it('emits match events', () => {
+    const spotter = new KeywordSpotter(['budget']);
+    const matches = [];
+    spotter.on('match', (match) => matches.push(match));
+    spotter.check(segment('the budget'));
+    assert.strictEqual(matches.length, 1);
+    assert.strictEqual(matches[0].final, true);
+  });
+
+  it('rejects an empty keyword list', () => {
+    assert.throws(() => new KeywordSpotter([]), { code: 'INVALID_CONFIG' });
+    assert.throws(() => new KeywordSpotter(['  ']), { code: 'INVALID_CONFIG' });
+  });
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { Redactor, RedactionMode } = require('../lib/redactor');
+
+describe('Redactor', () => {
+  describe('payment cards', () => {
+    const redactor = new Redactor({ creditCard: RedactionMode.TAG });
+
+    it('redacts numbers that pass the Luhn check', () => {
+      assert.strictEqual(redactor.redact('card 4111 1111 1111 1111 ok').text, 'card [CREDIT_CARD] ok');
+      assert.strictEqual(redactor.redact('card 5500-0000-0000-0004').text, 'card [CREDIT_CARD]');
+    });
+
+    it('leaves numbers that fail the Luhn check', () => {
+      assert.strictEqual(redactor.redact('card 4111 1111 1111 1112').text, 'card 4111 1111 1111 1112');
+    });
+  });
+
+  describe('IBANs', () => {
+    const redactor = new Redactor({ iban: RedactionMode.TAG });
+
+    it('redacts IBANs with valid check digits', () => {
+      assert.strictEqual(redactor.redact('pay GB82 WEST 1234 5698 7654 32 now').text, 'pay [IBAN] now');
+      assert.strictEqual(redactor.redact('DE89370400440532013000').text, '[IBAN]');
+    });
+
+    it('leaves IBANs with wrong check digits', () => {
+      assert.strictEqual(redactor.redact('pay GB83 WEST 1234 5698 7654 32').text, 'pay GB83 WEST 1234 5698 7654 32');
+    });
+  });
+
+  describe('email addresses', () => {
+    const redactor = new Redactor({ email: RedactionMode.TAG });
+
+    it('redacts written and spelled-out addresses', () => {
+      assert.strictEqual(redactor.redact('write to jane.doe@example.com today').text, 'write to [EMAIL] today');
+      assert.strictEqual(redactor.redact('write to jane at example dot com').text, 'write to [EMAIL]');
+    });
+  });
+
+  describe('phone numbers', () => {
+    const redactor = new Redactor({ phone: RedactionMode.TAG });
+
+    it('redacts numbers formatted like phone numbers', () => {
+      assert.strictEqual(redactor.redact('reach us at +44 20 7946 0958').text, 'reach us at [PHONE]');
+      assert.strictEqual(redactor.redact('(555) 123-4567 or 555.123.4567').text, '[PHONE] or [PHONE]');
+    });
+
+    it('redacts unformatted numbers after a cue word', () => {
+      assert.strictEqual(redactor.redact('call me on 555 123 4567 tonight').text, 'call me on [PHONE] tonight');
+      assert.strictEqual(redactor.redact('my number is 5551234567').text, 'my number is [PHONE]');
+    });
+
+    it('leaves ordinary numbers and dates', () => {
+      for (const text of ['1500000 viewers tuned in', 'on 20231015', 'on 2023-10-15', 'a crowd of 1.500.000',
+        'about 1 500 000 people', 'turnout was 12345678']) {
+        assert.strictEqual(redactor.redact(text).text, text);
+      }
+    });
+  });
+
+  describe('profanity', () => {
+    const redactor = new Redactor({ profanity: true });
+
+    it('masks all but the first letter, including wildcard endings', () => {
+      assert.strictEqual(redactor.redact('what the fuck', 'en').text, 'what the f***');
+      assert.strictEqual(redactor.redact('fucking hell', 'en').text, 'f****** hell');
+    });
+
+    it('uses only the list of the given language', () => {
+      assert.strictEqual(redactor.redact('le con est là', 'fr').text, 'le c** est là');
+      assert.strictEqual(redactor.redact('le con est là', 'en').text, 'le con est là');
+      assert.strictEqual(redactor.redact('en-US text: shit', 'en-US').text, 'en-US text: s***');
+    });
+
+    it('uses only the shared words when the language is unknown', () => {
+      assert.strictEqual(redactor.redact('what the fuck').text, 'what the fuck');
+      assert.strictEqual(redactor.redact('what the fuck', 'auto').text, 'what the fuck');
+      const custom = new Redactor({ profanity: { words: { '*': ['frak*'] } } });
+      assert.strictEqual(custom.redact('frakking toasters').text, 'f******* toasters');
+    });
+
+    it('does not match inside longer words', () => {
+      assert.strictEqual(redactor.redact('a cockpit and a dickens novel', 'en').text, 'a cockpit and a dickens novel');
+    });
+  });
+
+  describe('modes and audit', () => {
+    it('removes text and tidies the spacing', () => {
+      const redactor = new Redactor({ email: RedactionMode.REMOVE });
+      assert.strictEqual(redactor.redact('mail jane@example.com , thanks').text, 'mail, thanks');
+    });
+
+    it('masks letters and digits with the mask character', () => {
+      const redactor = new Redactor({ email: true, maskCharacter: '#' });
+      assert.strictEqual(redactor.redact('a@b.com').text, '#@#.###');
+    });
+
+    it('leaves the redacted text out of the audit unless includeText is set', () => {
+      assert.deepStrictEqual(new Redactor({ email: 'tag' }).redact('a@b.com').redactions, [
+        { type: 'email', replacement: '[EMAIL]' }
+      ]);
+      assert.deepStrictEqual(new Redactor({ email: 'tag', includeText: true }).redact('a@b.com').redactions, [
+        { type: 'email', text: 'a@b.com', replacement: '[EMAIL]' }
+      ]);
+    });
+
+    it('rejects unknown modes', () => {
+      assert.throws(() => new Redactor({ email: 'shred' }), { code: 'INVALID_CONFIG' });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require('assert');
+const { normalizeSegment, estimateWordTimings, toSeconds, retextWords } = require('../lib/segment');
+
+describe('segment', () => {
+  describe('toSeconds', () => {
+    it('parses numbers and numeric strings', () => {
+      assert.strictEqual(toSeconds(1.5), 1.5);
+      assert.strictEqual(toSeconds('2.250'), 2.25);
+      assert.strictEqual(toSeconds(0), 0);
+    });
+
+    it('returns null for missing or non-numeric values', () => {
+      for (const value of [undefined, null, '', 'abc', NaN, Infinity]) {
+        assert.strictEqual(toSeconds(value), null, String(value));
+      }
+    });
+  });
+
+  describe('estimateWordTimings', () => {
+    it('spreads the duration in proportion to word length', () => {
+      const words = estimateWordTimings('ab abcd ab', 0, 8);
+      assert.deepStrictEqual(words.map((word) => [word.text, word.start, word.end]), [
+        ['ab', 0, 2], ['abcd', 2, 6], ['ab', 6, 8]
+      ]);
+      assert.ok(words.every((word) => word.estimated && word.confidence === null));
+    });
+
+    it('leaves words untimed without segment timing', () => {
+      const [word] = estimateWordTimings('hello', null, null);
+      assert.strictEqual(word.start, null);
+      assert.strictEqual(word.end, null);
+    });
+  });
+
+  describe('normalizeSegment', () => {
+    it('converts timing and derives an id from the start time', () => {
+      const segment = normalizeSegment({ start: '1.500', end: '3.000', text: 'hello world', completed: true });
+      assert.strictEqual(segment.id, 'seg-1500');
+      assert.strictEqual(segment.start, 1.5);
+      assert.strictEqual(segment.end, 3);
+      assert.strictEqual(segment.completed, true);
+      assert.strictEqual(segment.words.length, 2);
+      assert.strictEqual(segment.words[0].estimated, true);
+    });
+
+    it('keeps server word timing and averages word confidence', () => {
+      const segment = normalizeSegment({
+        start: 0,
+        end: 1,
+        text: 'hi there',
+        words: [{ word: ' hi', start: '0', end: '0.4', probability: 0.8 }, { word: ' there', start: 0.4, end: 1, probability: 0.6 }]
+      });
+      assert.deepStrictEqual(segment.words.map((word) => [word.text, word.start, word.end, word.estimated]), [
+        ['hi', 0, 0.4, false], ['there', 0.4, 1, false]
+      ]);
+      assert.ok(Math.abs(segment.confidence - 0.7) < 1e-9);
+    });
+
+    it('uses the defaults for missing fields', () => {
+      const segment = normalizeSegment({ text: 'hola' }, { language: 'es', id: 'fallback' });
+      assert.strictEqual(segment.id, 'fallback');
+      assert.strictEqual(segment.language, 'es');
+      assert.strictEqual(segment.completed, false);
+      assert.strictEqual(segment.start, null);
+    });
+
+    it('keeps an id sent by the server', () => {
+      assert.strictEqual(normalizeSegment({ id: 7, start: 1, text: 'x' }).id, '7');
+    });
+  });
+
+  describe('retextWords', () => {
+    const words = [
+      { text: 'the', start: 0, end: 1, confidence: 0.9 },
+      { text: 'colour', start: 1, end: 2, confidence: 0.8 }
+    ];
+
+    it('keeps the timing when the number of words is unchanged', () => {
+      assert.deepStrictEqual(retextWords(words, 'the color', 0, 2), [
+        words[0],
+        { text: 'color', start: 1, end: 2, confidence: 0.8 }
+      ]);
+    });
+
+    it('estimates the timing again when words were added or removed', () => {
+      const result = retextWords(words, 'the red colour', 0, 2);
+      assert.deepStrictEqual(result.map((word) => word.text), ['the', 'red', 'colour']);
+      assert.ok(result.every((word) => word.estimated));
+      assert.strictEqual(result[2].end, 2);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { formatTimecode, timecodeToFrames, secondsOfDay } = require('../lib/timecode');
+
+const NTSC = 30000 / 1001;
+
+describe('timecode', () => {
+  describe('formatTimecode', () => {
+    it('formats whole frames at non-drop rates', () => {
+      assert.strictEqual(formatTimecode(0), '00:00:00:00');
+      assert.strictEqual(formatTimecode(2.4, { frameRate: 25 }), '00:00:02:10');
+      assert.strictEqual(formatTimecode(3723.5, { frameRate: 24 }), '01:02:03:12');
+    });
+
+    it('counts from a start timecode', () => {
+      assert.strictEqual(formatTimecode(1, { frameRate: 25, start: '10:00:00:00' }), '10:00:01:00');
+      assert.strictEqual(formatTimecode(0.5, { frameRate: 25, start: '09:59:59:20' }), '10:00:00:08');
+    });
+
+    it('wraps at 24 hours', () => {
+      assert.strictEqual(formatTimecode(24 * 3600 + 1, { frameRate: 25 }), '00:00:01:00');
+    });
+
+    it('skips frame numbers 0 and 1 at each minute except every tenth in drop-frame', () => {
+      assert.strictEqual(formatTimecode(1799 / NTSC, { frameRate: 29.97 }), '00:00:59;29');
+      assert.strictEqual(formatTimecode(1800 / NTSC, { frameRate: 29.97 }), '00:01:00;02');
+      assert.strictEqual(formatTimecode(17982 / NTSC, { frameRate: 29.97 }), '00:10:00;00');
+      assert.strictEqual(formatTimecode(107892 / NTSC, { frameRate: 29.97 }), '01:00:00;00');
+    });
+
+    it('drops four frame numbers per minute at 59.94 fps', () => {
+      assert.strictEqual(formatTimecode(3600 / (60000 / 1001), { frameRate: 59.94 }), '00:01:00;04');
+    });
+
+    it('uses non-drop counting at 29.97 when dropFrame is false', () => {
+      assert.strictEqual(formatTimecode(1800 / NTSC, { frameRate: 29.97, dropFrame: false }), '00:01:00:00');
+    });
+
+    it('rejects drop-frame at integer rates', () => {
+      assert.throws(() => formatTimecode(0, { frameRate: 25, dropFrame: true }), { code: 'INVALID_CONFIG' });
+    });
+
+    it('rejects invalid frame rates', () => {
+      assert.throws(() => formatTimecode(0, { frameRate: 0 }), { code: 'INVALID_CONFIG' });
+    });
+  });
+
+  describe('timecodeToFrames', () => {
+    it('parses non-drop timecode', () => {
+      assert.strictEqual(timecodeToFrames('01:00:00:00', 25), 90000);
+      assert.strictEqual(timecodeToFrames('00:00:01:05', 30), 35);
+    });
+
+    it('parses drop-frame timecode', () => {
+      assert.strictEqual(timecodeToFrames('00:01:00;02', 29.97), 1800);
+      assert.strictEqual(timecodeToFrames('00:10:00;00', 29.97), 17982);
+      assert.strictEqual(timecodeToFrames('01:00:00;00', 29.97), 107892);
+    });
+
+    it('round-trips with formatTimecode', () => {
+      for (const frames of [0, 1799, 1800, 17981, 17982, 53946, 107891]) {
+        const timecode = formatTimecode(frames / NTSC, { frameRate: 29.97 });
+        assert.strictEqual(timecodeToFrames(timecode, 29.97), frames, timecode);
+      }
+    });
+
+    it('rejects malformed timecode and frames beyond the rate', () => {
+      assert.throws(() => timecodeToFrames('1:2:3', 25), { code: 'INVALID_CONFIG' });
+      assert.throws(() => timecodeToFrames('00:00:00:25', 25), { code: 'INVALID_CONFIG' });
+      assert.throws(() => timecodeToFrames('00:60:00:00', 25), { code: 'INVALID_CONFIG' });
+    });
+  });
+
+  describe('secondsOfDay', () => {
+    it('returns the local time of day in seconds', () => {
+      const epoch = new Date(2024, 0, 1, 13, 30, 15, 500).getTime();
+      assert.strictEqual(secondsOfDay(epoch), 13 * 3600 + 30 * 60 + 15.5);
+    });
+  });
+});